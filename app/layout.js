@@ -7,6 +7,12 @@ const geistMono = Geist_Mono({ variable: "--font-geist-mono", subsets: ["latin"]
 export const metadata = {
   title: "StudyPace",
   description: "Your exam tracking dashboard",
+  appleWebApp: { capable: true, title: "StudyPace" },
+  icons: { apple: "/icon-192.png" },
+};
+
+export const viewport = {
+  themeColor: "#09090b",
 };
 
 export default function RootLayout({ children }) {
@@ -0,0 +1,16 @@
+export default function manifest() {
+  return {
+    name: "StudyPace",
+    short_name: "StudyPace",
+    description: "Your exam tracking dashboard",
+    start_url: "/",
+    display: "standalone",
+    background_color: "#09090b",
+    theme_color: "#09090b",
+    icons: [
+      { src: "/icon-192.png", sizes: "192x192", type: "image/png" },
+      { src: "/icon-512.png", sizes: "512x512", type: "image/png" },
+      { src: "/icon-512.png", sizes: "512x512", type: "image/png", purpose: "maskable" },
+    ],
+  };
+}
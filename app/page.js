@@ -1,77 +1,101 @@
 "use client";
 
-import { useEffect, useMemo, useRef, useState } from "react";
-
-/** ---------- localStorage DB ---------- */
-const KEY = "studypace_full_singlefile_v4_everything";
-
-function systemTheme() {
-  if (typeof window === "undefined") return "light";
-  return window.matchMedia?.("(prefers-color-scheme: dark)")?.matches ? "dark" : "light";
-}
-
-function isoDay(d = new Date()) {
-  const x = new Date(d);
-  x.setHours(0, 0, 0, 0);
-  return x.toISOString().slice(0, 10);
-}
-
-function addDays(isoYYYYMMDD, days) {
-  const d = new Date(isoYYYYMMDD);
-  d.setDate(d.getDate() + days);
-  return isoDay(d);
-}
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import {
+  defaultDB,
+  loadSessionRange,
+  onRemoteChange,
+  onStorageError,
+  openDB,
+  saveDB,
+  storageErrorMessage,
+  systemTheme,
+} from "@/lib/storage";
+import { addDays, daysBetween, isoDay, parseDay, timeOf, weekdayOf } from "@/lib/dates";
+import {
+  HEATMAP_DAYS,
+  RANGE_OPTIONS,
+  dailyActivity,
+  heatmapWeeks,
+  minutesBySubject,
+  rangeBounds,
+  sessionCsvFilename,
+  sessionCsvRows,
+} from "@/lib/analytics";
+import { archivePassedExams, countdownLabel, daysUntilExam, readiness, readinessLevel } from "@/lib/exams";
+import { DEFAULT_CRAM_WINDOW, GRADES, newSchedule, review, scheduleState } from "@/lib/scheduler";
+import { FREEZE_EVERY, MAX_FREEZES, MAX_ROLLOVER_HOUR, streakStats, studyDay, studyDayCounts } from "@/lib/streaks";
+import { buildDailyPlan, completePlanItem, nextPlanItem } from "@/lib/planner";
+import { DEFAULT_WEEKDAY_MINUTES, buildStudyPlan, targetPomodoros } from "@/lib/studyPlan";
+import {
+  dueCount,
+  dueTopics,
+  hasTopics,
+  newTopic,
+  rescheduleItems,
+  reviewCalendar,
+  rollupSubject,
+  suggestTopic,
+  updateTopic,
+} from "@/lib/topics";
+import {
+  indexSessions,
+  editedSession,
+  isPartial,
+  manualSession,
+  scheduleKey,
+  sessionDay,
+  sessionMinutes,
+  sessionSpan,
+  sessionTime,
+  sessionsBetween,
+  sessionsFor,
+  sessionsOn,
+  totalMinutes,
+} from "@/lib/sessions";
+import { backupFilename, exportBackup, parseBackup, planImport } from "@/lib/backup";
+import { downloadFile } from "@/lib/download";
+import { exportIcs, icsFilename } from "@/lib/ics";
+import { parseCsv, toCsv } from "@/lib/csv";
+import { DEFAULT_HISTORY_FILTERS, HISTORY_PAGE_SIZE, groupHistory, pageCount, searchHistory } from "@/lib/history";
+import {
+  IMPORT_FIELDS,
+  applySubjectImport,
+  checkImportRows,
+  csvRows,
+  guessMapping,
+  icsRows,
+} from "@/lib/subjectImport";
+import { TAB_ID, broadcast, onBroadcast } from "@/lib/sync";
+import { AMBIENTS, CHIMES, playChime, playCue, setAmbientVolume, startAmbient, stopAmbient } from "@/lib/sound";
+import { cancelNotification, registerServiceWorker, scheduleNotification, swNotify } from "@/lib/notify";
+import {
+  REMINDER_KINDS,
+  dueReminders,
+  inQuietHours,
+  logFired,
+  newReminder,
+  upcomingReminders,
+} from "@/lib/reminders";
+import {
+  MIN_PARTIAL_SEC,
+  PAUSE_REASONS,
+  elapsedSeconds,
+  flowBreakSeconds,
+  focusedSeconds,
+  idleClock,
+  remainingSeconds,
+  sameSnapshot,
+  sessionFromTimer,
+  timerSnapshot,
+} from "@/lib/timer";
 
+/** ---------- utilities ---------- */
 function randomColor() {
   const colors = ["#2563eb", "#7c3aed", "#16a34a", "#ea580c", "#dc2626", "#0891b2"];
   return colors[Math.floor(Math.random() * colors.length)];
 }
 
-function defaultDB() {
-  return {
-    theme: systemTheme(),
-    onboardingDone: false,
-
-    notificationsEnabled: false,
-    notificationPermission: "default",
-    lastDueNotifyDay: "",
-
-    dailyGoal: 2,
-
-    // timer upgrades
-    timer: {
-      pomodoroMin: 25,
-      shortMin: 5,
-      longMin: 15,
-      cyclesBeforeLong: 4,
-      autoStartBreak: true,
-      autoStartPomodoro: true,
-      endSound: true,
-    },
-    pomodoroCycleCount: 0,
-
-    subjects: [], // {id, name, examDate, nextReviewDate, color, intervalDays, easeStreak}
-    sessions: [], // {id, subjectId, type:'pomodoro', minutes, completedAt, difficulty, note}
-
-    calendarNotes: {}, // { "YYYY-MM-DD": "note" }
-    manualStudied: {}, // { "YYYY-MM-DD": true }
-  };
-}
-
-function loadDB() {
-  try {
-    const raw = localStorage.getItem(KEY);
-    return raw ? JSON.parse(raw) : defaultDB();
-  } catch {
-    return defaultDB();
-  }
-}
-
-function saveDB(db) {
-  localStorage.setItem(KEY, JSON.stringify(db));
-}
-
-/** ---------- utilities ---------- */
 function fmt(sec) {
   const m = String(Math.floor(sec / 60)).padStart(2, "0");
   const s = String(sec % 60).padStart(2, "0");
@@ -82,15 +106,6 @@ function cx(...parts) {
   return parts.filter(Boolean).join(" ");
 }
 
-function withinLastNDays(isoDate, n) {
-  const d = new Date(isoDate);
-  const now = new Date();
-  now.setHours(0, 0, 0, 0);
-  const cutoff = new Date(now);
-  cutoff.setDate(now.getDate() - (n - 1));
-  return d >= cutoff && d <= now;
-}
-
 function monthMatrix(year, monthIndex) {
   const first = new Date(year, monthIndex, 1);
   const startDay = first.getDay();
@@ -101,7 +116,7 @@ function monthMatrix(year, monthIndex) {
     const d = new Date(start);
     d.setDate(start.getDate() + i);
     cells.push({
-      iso: d.toISOString().slice(0, 10),
+      iso: isoDay(d),
       day: d.getDate(),
       inMonth: d.getMonth() === monthIndex,
     });
@@ -109,35 +124,81 @@ function monthMatrix(year, monthIndex) {
   return cells;
 }
 
-function computeStats(db) {
-  const today = isoDay();
+// countdown length for a timer mode; flow counts up from 0 instead
+function modeSeconds(mode, cfg, flowBreakSec) {
+  if (mode === "pomodoro") return cfg.pomodoroMin * 60;
+  if (mode === "short") return cfg.shortMin * 60;
+  if (mode === "long") return cfg.longMin * 60;
+  if (mode === "flowBreak") return flowBreakSec;
+  return 0;
+}
+
+// what the notification says when a countdown runs out
+function timerEndMessage(mode) {
+  if (mode === "pomodoro") return { title: "Pomodoro finished 🍅", body: "Nice work — time to rate it and take a break." };
+  if (mode === "flowBreak") return { title: "Break over", body: "Back into flow." };
+  return { title: "Break over", body: "Ready for the next Pomodoro?" };
+}
+
+// adds a finished Pomodoro or flow session and ticks off the plan item it covered
+function recordSession(db, session) {
+  const dailyPlan = completePlanItem(db.dailyPlan, {
+    subjectId: session.subjectId,
+    topicId: session.topicId,
+    sessionId: session.id,
+  });
+  const next = {
+    ...db,
+    sessions: [...db.sessions, session],
+    pomodoroCycleCount: (db.pomodoroCycleCount || 0) + 1,
+    dailyPlan,
+    activeTimer: null,
+  };
+  return { next, upNext: dailyPlan !== db.dailyPlan ? nextPlanItem(dailyPlan) : null };
+}
+
+// `streakDay` is today shifted by the rollover hour (see studyDay)
+function computeStats(db, index, today = isoDay(), streakDay = today) {
   const totalSubjects = db.subjects.length;
-  const dueToday = db.subjects.filter((s) => (s.nextReviewDate || today) <= today).length;
+  const dueToday = db.subjects.reduce((n, s) => n + dueCount(s, today), 0);
 
   const goal = db.dailyGoal || 1;
 
   const todayCount =
-    db.sessions.filter((s) => s.completedAt.slice(0, 10) === today).length +
+    sessionsOn(index, today).filter((s) => !isPartial(s)).length +
     (db.manualStudied?.[today] ? 1 : 0);
 
-  const studiedDays = new Set([
-    ...db.sessions.map((s) => s.completedAt.slice(0, 10)),
-    ...Object.keys(db.manualStudied || {}).filter((k) => db.manualStudied[k]),
-  ]);
-
-  let streak = 0;
-  const d = new Date();
-  d.setHours(0, 0, 0, 0);
-  while (true) {
-    const day = d.toISOString().slice(0, 10);
-    if (!studiedDays.has(day)) break;
-    streak++;
-    d.setDate(d.getDate() - 1);
-  }
+  const streak = streakStats({
+    counts: studyDayCounts(db.sessions, db.manualStudied, Number(db.streak?.rolloverHour || 0)),
+    today: streakDay,
+    goal,
+    freezes: db.streak?.freezes !== false,
+  });
 
-  return { totalSubjects, dueToday, bestStreak: streak, todayDone: todayCount, goal };
+  return {
+    totalSubjects,
+    dueToday,
+    todayDone: todayCount,
+    goal,
+    currentStreak: streak.current,
+    longestStreak: streak.longest,
+    freezeTokens: streak.tokens,
+    frozenDays: streak.frozenDays,
+    studiedToday: streak.studiedToday,
+  };
 }
 
+// the tab that owns a running timer says so this often; mirrors take over after a silence
+const HEARTBEAT_MS = 4000;
+const OWNER_TIMEOUT = 10000;
+
+const GRADE_STYLE = {
+  again: "bg-red-600",
+  hard: "bg-amber-600",
+  good: "bg-blue-600",
+  easy: "bg-green-600",
+};
+
 /** ---------- UI helpers ---------- */
 function Modal({ title, onClose, children, wide = false, theme }) {
   const isDark = theme === "dark";
@@ -192,60 +253,275 @@ function Card({ children, className = "", theme }) {
   );
 }
 
-/** ---------- Notifications + sound ---------- */
-function canNotify() {
-  return typeof window !== "undefined" && "Notification" in window;
+function ReadinessBar({ score, theme }) {
+  const isDark = theme === "dark";
+  const level = readinessLevel(score);
+  return (
+    <div title={`Readiness ${score}%`}>
+      <div className="flex items-center justify-between text-xs font-semibold">
+        <span style={{ color: level.color }}>{level.label}</span>
+        <span>{score}%</span>
+      </div>
+      <div className={cx("mt-1 h-1.5 w-full overflow-hidden rounded-full", isDark ? "bg-zinc-900" : "bg-zinc-100")}>
+        <div className="h-full rounded-full" style={{ width: `${score}%`, background: level.color }} />
+      </div>
+    </div>
+  );
 }
 
-function sendNotification(title, body) {
-  try {
-    // eslint-disable-next-line no-new
-    new Notification(title, { body });
-  } catch {}
+/** ---------- SVG charts ---------- */
+const HEAT_COLORS = {
+  light: ["#ebedf0", "#9be9a8", "#40c463", "#30a14e", "#216e39"],
+  dark: ["#18181b", "#0e4429", "#006d32", "#26a641", "#39d353"],
+};
+
+function shortDay(iso) {
+  return parseDay(iso).toLocaleString(undefined, { month: "short", day: "numeric" });
 }
 
-function playEndSound() {
-  // nicer 3-beep pattern
-  try {
-    const AudioCtx = window.AudioContext || window.webkitAudioContext;
-    if (!AudioCtx) return;
-    const ctx = new AudioCtx();
+// one bar per day; labels only at the ends and middle so long ranges stay readable
+function ActivityBars({ days, onPick, theme }) {
+  const isDark = theme === "dark";
+  const bar = days.length > 60 ? 3 : days.length > 14 ? 8 : 24;
+  const gap = bar / 3;
+  const height = 120;
+  const width = days.length * (bar + gap);
+  const max = Math.max(1, ...days.map((d) => d.count));
+  const labelAt = new Set([0, Math.floor((days.length - 1) / 2), days.length - 1]);
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height + 18}`} className="w-full" role="img" aria-label="Daily activity">
+      {days.map((d, i) => {
+        const h = d.count ? 6 + (d.count / max) * (height - 6) : 2;
+        const x = i * (bar + gap);
+        return (
+          <g key={d.iso} onClick={() => onPick(d.iso)} className="cursor-pointer">
+            <title>{`${d.count} activity · ${Math.round(d.minutes)}m on ${d.iso}`}</title>
+            <rect x={x} y={0} width={bar + gap} height={height} fill="transparent" />
+            <rect x={x} y={height - h} width={bar} height={h} rx={Math.min(4, bar / 2)} fill={isDark ? "#fafafa" : "#09090b"} />
+            {labelAt.has(i) ? (
+              <text
+                x={x + bar / 2}
+                y={height + 14}
+                fontSize={10}
+                textAnchor={i === 0 ? "start" : i === days.length - 1 ? "end" : "middle"}
+                fill="#71717a"
+              >
+                {d.label}
+              </text>
+            ) : null}
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+function Heatmap({ weeks, onPick, theme }) {
+  const colors = HEAT_COLORS[theme === "dark" ? "dark" : "light"];
+  const cell = 11;
+  const step = 14;
+  const left = 26;
+  const top = 16;
+
+  // a month label over the first week that starts in it
+  const months = [];
+  weeks.forEach((w, i) => {
+    const first = w.find(Boolean);
+    const m = first?.iso.slice(0, 7);
+    if (m && m !== months[months.length - 1]?.m && (i === 0 || first.iso.slice(8) <= "07")) {
+      months.push({ m, x: left + i * step, label: parseDay(first.iso).toLocaleString(undefined, { month: "short" }) });
+    }
+  });
+
+  return (
+    <svg viewBox={`0 0 ${left + weeks.length * step} ${top + 7 * step}`} className="w-full" role="img" aria-label="Year of activity">
+      {months.map((m) => (
+        <text key={m.m} x={m.x} y={10} fontSize={10} fill="#71717a">
+          {m.label}
+        </text>
+      ))}
+      {[
+        [1, "Mon"],
+        [3, "Wed"],
+        [5, "Fri"],
+      ].map(([d, label]) => (
+        <text key={label} x={0} y={top + d * step + cell - 2} fontSize={9} fill="#71717a">
+          {label}
+        </text>
+      ))}
+      {weeks.map((w, i) =>
+        w.map((c, d) =>
+          c ? (
+            <rect
+              key={c.iso}
+              x={left + i * step}
+              y={top + d * step}
+              width={cell}
+              height={cell}
+              rx={2}
+              fill={colors[c.level]}
+              onClick={() => onPick(c.iso)}
+              className="cursor-pointer"
+            >
+              <title>{`${c.count} activity · ${Math.round(c.minutes)}m on ${c.iso}`}</title>
+            </rect>
+          ) : null
+        )
+      )}
+    </svg>
+  );
+}
+
+// minutes per week/month, one stacked segment per subject in subject order
+function StackedBars({ buckets, subjects, by }) {
+  const height = 140;
+  const bar = 18;
+  const gap = 8;
+  const left = 34;
+  const width = left + Math.max(1, buckets.length) * (bar + gap);
+  const max = Math.max(1, ...buckets.map((b) => b.total));
+  const scale = (m) => (m / max) * height;
+  const label = (b) =>
+    by === "month"
+      ? parseDay(b.start).toLocaleString(undefined, { month: "short" })
+      : shortDay(b.start);
+  const every = Math.ceil(buckets.length / 8);
 
-    const beep = (t, freq) => {
-      const o = ctx.createOscillator();
-      const g = ctx.createGain();
-      o.type = "sine";
-      o.frequency.value = freq;
+  return (
+    <svg viewBox={`0 0 ${width} ${height + 30}`} className="w-full" role="img" aria-label="Minutes per subject">
+      {[0, 0.5, 1].map((f) => (
+        <g key={f}>
+          <line x1={left - 4} x2={width} y1={height - f * height + 4} y2={height - f * height + 4} stroke="#71717a" strokeOpacity={0.2} />
+          <text x={0} y={height - f * height + 8} fontSize={9} fill="#71717a">
+            {Math.round((max * f) / 60)}h
+          </text>
+        </g>
+      ))}
+      {buckets.map((b, i) => {
+        const x = left + i * (bar + gap);
+        let y = height + 4;
+        return (
+          <g key={b.key}>
+            <title>{`${label(b)}: ${Math.round(b.total)}m`}</title>
+            {subjects.map((s) => {
+              const m = b.totals[s.id] || 0;
+              if (!m) return null;
+              const h = scale(m);
+              y -= h;
+              return <rect key={s.id} x={x} y={y} width={bar} height={h} fill={s.color || "#2563eb"} />;
+            })}
+            {i % every === 0 ? (
+              <text x={x + bar / 2} y={height + 20} fontSize={9} textAnchor="middle" fill="#71717a">
+                {label(b)}
+              </text>
+            ) : null}
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
 
-      g.gain.value = 0.0001;
-      g.gain.exponentialRampToValueAtTime(0.16, ctx.currentTime + t + 0.01);
-      g.gain.exponentialRampToValueAtTime(0.0001, ctx.currentTime + t + 0.18);
+/** ---------- calendar timeline ---------- */
+const HOUR_PX = 36;
+
+// what to show above a day's timeline: its note, reviews (scheduled or projected), exams and planned blocks
+function dayAgenda(db, day, plannedDays, reviewDays) {
+  const reviews = (reviewDays[day] || [])
+    .map((r) => {
+      const subject = db.subjects.find((s) => s.id === r.subjectId);
+      const topic = (subject?.topics || []).find((t) => t.id === r.topicId) || null;
+      return subject ? { subject, topic, projected: r.projected } : null;
+    })
+    .filter(Boolean);
+  return {
+    note: (db.calendarNotes?.[day] || "").trim(),
+    reviews,
+    exams: db.subjects.filter((s) => !s.archived && s.examDate === day),
+    planned: plannedDays[day] || [],
+  };
+}
 
-      o.connect(g);
-      g.connect(ctx.destination);
+// sessions placed at their time of day, one column per day
+function Timeline({ days, sessionsOnDay, subjects, onPick, theme }) {
+  const isDark = theme === "dark";
+  const line = isDark ? "border-zinc-800" : "border-zinc-200";
+  const byId = new Map(subjects.map((s) => [s.id, s]));
+  const hours = Array.from({ length: 24 }, (_, h) => h);
+  const wide = days.length === 1;
 
-      o.start(ctx.currentTime + t);
-      o.stop(ctx.currentTime + t + 0.22);
-    };
+  return (
+    <div className="flex">
+      <div className="w-10 shrink-0">
+        {hours.map((h) => (
+          <div key={h} className="pr-1 text-right text-[10px] text-zinc-500" style={{ height: HOUR_PX }}>
+            {h}:00
+          </div>
+        ))}
+      </div>
+      {days.map((day) => (
+        <div key={day} className={cx("relative min-w-0 flex-1 border-l", line)} style={{ height: 24 * HOUR_PX }}>
+          {hours.map((h) => (
+            <div key={h} className={cx("border-t", line)} style={{ height: HOUR_PX }} />
+          ))}
+          {sessionsOnDay(day).map((s) => {
+            const { start, end } = sessionSpan(s);
+            const sub = byId.get(s.subjectId);
+            const topic = (sub?.topics || []).find((t) => t.id === s.topicId);
+            const label = `${sub?.name || "Unknown"}${topic ? ` · ${topic.name}` : ""}`;
+            return (
+              <button
+                key={s.id}
+                onClick={() => onPick(s)}
+                className="absolute left-0.5 right-0.5 overflow-hidden rounded-md px-1 text-left text-[10px] font-semibold leading-tight text-white transition hover:brightness-110"
+                style={{
+                  top: (start / 60) * HOUR_PX,
+                  height: Math.max(14, ((end - start) / 60) * HOUR_PX),
+                  background: sub?.color || "#2563eb",
+                  opacity: isPartial(s) ? 0.6 : 1,
+                }}
+                title={`${label} · ${sessionTime(s)} · ${Math.round(sessionMinutes(s))}m`}
+              >
+                {label}
+                {wide ? ` · ${sessionTime(s)} · ${Math.round(sessionMinutes(s))}m${s.difficulty ? ` · ${s.difficulty}` : ""}` : ""}
+              </button>
+            );
+          })}
+        </div>
+      ))}
+    </div>
+  );
+}
 
-    beep(0.0, 880);
-    beep(0.28, 990);
-    beep(0.56, 880);
+/** ---------- Notifications + sound ---------- */
+function canNotify() {
+  return typeof window !== "undefined" && "Notification" in window;
+}
 
-    setTimeout(() => ctx.close?.(), 1100);
+function sendNotification(title, body, tag = "") {
+  if (swNotify(title, body, tag)) return;
+  try {
+    // eslint-disable-next-line no-new
+    new Notification(title, { body, tag });
   } catch {}
 }
 
+function playEndSound(cfg) {
+  if (cfg.endSound) playChime(cfg.chime, cfg.volume);
+}
+
 /** ---------- Page ---------- */
 export default function Home() {
   const [db, setDb] = useState(null);
 
-  // modals: "welcome" | "about" | "add" | "subjects" | "edit" | "timer" | "review" | "calendar" | "analytics" | "subjectDetail" | "achievements" | "achievementDetail"
+  // modals: "welcome" | "about" | "add" | "subjects" | "edit" | "timer" | "review" | "calendar" | "analytics" | "subjectDetail" | "achievements" | "achievementDetail" | "import" | "examPlan" | "reminders" | "session" | "ics" | "bulkImport" | "history"
   const [modal, setModal] = useState(null);
 
   // add subject
   const [subjectName, setSubjectName] = useState("");
   const [examDate, setExamDate] = useState("");
+  const [subjectTopics, setSubjectTopics] = useState(""); // one topic per line
 
   // edit subject
   const [editId, setEditId] = useState("");
@@ -253,18 +529,31 @@ export default function Home() {
   const [editExamDate, setEditExamDate] = useState("");
   const [editNextReviewDate, setEditNextReviewDate] = useState("");
   const [editColor, setEditColor] = useState("#2563eb");
+  const [editTopics, setEditTopics] = useState([]);
+  const [newTopicName, setNewTopicName] = useState("");
 
   // timer
-  const [mode, setMode] = useState("pomodoro"); // pomodoro | short | long
+  const [mode, setMode] = useState("pomodoro"); // pomodoro | short | long | flow | flowBreak
+  const [flowBreakSec, setFlowBreakSec] = useState(5 * 60); // suggested after the last flow session
+  const [presetName, setPresetName] = useState("");
   const [seconds, setSeconds] = useState(25 * 60);
   const [running, setRunning] = useState(false);
   const tickRef = useRef(null);
+  const [clock, setClock] = useState(idleClock); // wall-clock ms; endsAt is 0 unless running
+  const resumeRef = useRef(null); // timer snapshot to adopt once the mode change has settled
+  const mirrorRef = useRef(null); // snapshot of another tab's timer this tab is showing
+  const ownerSeenRef = useRef(0); // last time the owning tab was heard from
+  const timerCtlRef = useRef({}); // controls other tabs may run on the timer this tab owns
+  const adoptedOnLoadRef = useRef(false);
 
   const [sessionNote, setSessionNote] = useState("");
   const [lastCompletedSubjectId, setLastCompletedSubjectId] = useState("");
+  const [lastCompletedTopicId, setLastCompletedTopicId] = useState("");
+  const [lastCompletedSessionId, setLastCompletedSessionId] = useState("");
 
   // selected subject
   const [activeSubjectId, setActiveSubjectId] = useState("");
+  const [activeTopicId, setActiveTopicId] = useState("");
 
   // calendar
   const [calView, setCalView] = useState(() => {
@@ -273,27 +562,73 @@ export default function Home() {
   });
   const [selectedDay, setSelectedDay] = useState(isoDay());
   const [dayNoteDraft, setDayNoteDraft] = useState("");
+  const [calMode, setCalMode] = useState("month"); // month | week | day
+  const timelineRef = useRef(null);
+
+  // session opened from the timeline or the history browser; no id means logging a past one
+  const [editSessionId, setEditSessionId] = useState("");
+  const [sessionForm, setSessionForm] = useState(null); // { subjectId, topicId, day, time, minutes, difficulty, note }
+  const [sessionBackTo, setSessionBackTo] = useState("calendar"); // modal to return to
+
+  // history browser
+  const [historyFilters, setHistoryFilters] = useState(DEFAULT_HISTORY_FILTERS);
+  const [historyGroupBy, setHistoryGroupBy] = useState("day"); // day | week
+  const [historyPage, setHistoryPage] = useState(0);
 
   // analytics
   const [analyticsTab, setAnalyticsTab] = useState("overview"); // overview | subjects | history
-  const [analyticsRange, setAnalyticsRange] = useState(7); // 7 | 30
+  const [analyticsRange, setAnalyticsRange] = useState(7); // one of RANGE_OPTIONS | "custom"
+  const [analyticsCustom, setAnalyticsCustom] = useState(() => ({ from: addDays(isoDay(), -29), to: isoDay() }));
+  const [historySubjectId, setHistorySubjectId] = useState(""); // "" = all subjects
+  const [chartBucket, setChartBucket] = useState("week"); // week | month
   const [selectedSubjectDetailId, setSelectedSubjectDetailId] = useState("");
 
   // achievements
   const [selectedAchievementKey, setSelectedAchievementKey] = useState("");
 
+  // import
+  const [importFile, setImportFile] = useState(null); // { name, db, errors }
+  const [importMode, setImportMode] = useState("merge"); // merge | replace
+  const [icsSessions, setIcsSessions] = useState(false);
+  const importInputRef = useRef(null);
+
+  // bulk subject import
+  const [bulkFile, setBulkFile] = useState(null); // { name, kind: "csv" | "ics", table, rows }
+  const [bulkMapping, setBulkMapping] = useState(null); // { mapping: { field: column }, hasHeader }
+  const [bulkSkipped, setBulkSkipped] = useState({}); // row index -> true
+  const [bulkUpdateExisting, setBulkUpdateExisting] = useState(false);
+  const bulkInputRef = useRef(null);
+
   // toast
   const [toast, setToast] = useState("");
+  const toastTimerRef = useRef(0);
+  const [storageError, setStorageError] = useState("");
+  const [now, setNow] = useState(() => Date.now()); // refreshed every minute for the reminder scheduler
+
+  const showToast = useCallback((msg) => {
+    setToast(msg);
+    window.clearTimeout(toastTimerRef.current);
+    toastTimerRef.current = window.setTimeout(() => setToast(""), 1800);
+  }, []);
 
   /** -------------------- DERIVED (hooks ALWAYS run) -------------------- */
-  const stats = useMemo(() => (db ? computeStats(db) : null), [db]);
+  const sessions = db?.sessions;
+  const sessionIndex = useMemo(() => indexSessions(sessions || []), [sessions]);
+  const cramWindowDays = Number(db?.scheduling?.cramWindowDays ?? DEFAULT_CRAM_WINDOW);
+
+  const currentDay = isoDay(new Date(now));
+  const streakDay = studyDay(now, Number(db?.streak?.rolloverHour || 0));
+  const stats = useMemo(
+    () => (db ? computeStats(db, sessionIndex, currentDay, streakDay) : null),
+    [db, sessionIndex, currentDay, streakDay]
+  );
 
   const studiedDays = useMemo(() => {
     if (!db) return new Set();
-    const fromSessions = db.sessions.map((x) => x.completedAt.slice(0, 10));
+    const fromSessions = sessionIndex.byDay.keys();
     const fromManual = Object.keys(db.manualStudied || {}).filter((k) => db.manualStudied[k]);
     return new Set([...fromSessions, ...fromManual]);
-  }, [db]);
+  }, [db, sessionIndex]);
 
   const calendarCells = useMemo(() => monthMatrix(calView.y, calView.m), [calView]);
 
@@ -304,69 +639,167 @@ export default function Home() {
     });
   }, [calView]);
 
+  // Sun..Sat around the selected day, or just the day
+  const timelineDays = useMemo(() => {
+    if (calMode === "day") return [selectedDay];
+    const sunday = addDays(selectedDay, -weekdayOf(selectedDay));
+    return Array.from({ length: 7 }, (_, i) => addDays(sunday, i));
+  }, [calMode, selectedDay]);
+
+  // scheduled and projected reviews up to the last day the calendar currently shows
+  const reviewDays = useMemo(() => {
+    if (!db) return {};
+    const lastCell = calendarCells[calendarCells.length - 1].iso;
+    const lastShown = timelineDays[timelineDays.length - 1];
+    return reviewCalendar(db.subjects, {
+      today: currentDay,
+      until: lastCell > lastShown ? lastCell : lastShown,
+      cramWindowDays,
+    });
+  }, [db, calendarCells, timelineDays, currentDay, cramWindowDays]);
+
+  const timelineTitle = useMemo(() => {
+    const fmtDay = (day, opts) => parseDay(day).toLocaleString(undefined, opts);
+    if (calMode === "day") return fmtDay(selectedDay, { weekday: "long", month: "long", day: "numeric", year: "numeric" });
+    const first = timelineDays[0];
+    const last = timelineDays[6];
+    return `${fmtDay(first, { month: "short", day: "numeric" })} – ${fmtDay(last, { month: "short", day: "numeric", year: "numeric" })}`;
+  }, [calMode, selectedDay, timelineDays]);
+
   const activeSubject = useMemo(() => {
     if (!db) return null;
     return db.subjects.find((s) => s.id === activeSubjectId) || db.subjects[0] || null;
   }, [db, activeSubjectId]);
 
+  const activeTopic = useMemo(() => {
+    if (!activeSubject || !hasTopics(activeSubject)) return null;
+    return activeSubject.topics.find((t) => t.id === activeTopicId) || null;
+  }, [activeSubject, activeTopicId]);
+
   const dueTodaySubjects = useMemo(() => {
     if (!db) return [];
     const today = isoDay();
     return db.subjects
-      .filter((s) => (s.nextReviewDate || today) <= today)
+      .filter((s) => dueCount(s, today) > 0)
       .sort((a, b) => (a.nextReviewDate || today).localeCompare(b.nextReviewDate || today));
   }, [db]);
 
+  const reviewSubject = useMemo(() => {
+    if (!db) return null;
+    return db.subjects.find((s) => s.id === lastCompletedSubjectId) || activeSubject;
+  }, [db, lastCompletedSubjectId, activeSubject]);
+
+  const reviewTopic = useMemo(() => {
+    if (!reviewSubject || !lastCompletedTopicId) return null;
+    return (reviewSubject.topics || []).find((t) => t.id === lastCompletedTopicId) || null;
+  }, [reviewSubject, lastCompletedTopicId]);
+
+  const gradePreview = useMemo(() => {
+    if (!reviewSubject) return {};
+    const today = isoDay();
+    const state = scheduleState(reviewTopic || reviewSubject);
+    return Object.fromEntries(
+      GRADES.map((g) => [g, review(state, g, { today, examDate: reviewSubject.examDate, cramWindowDays })])
+    );
+  }, [reviewSubject, reviewTopic, cramWindowDays]);
+
+  // upcoming exams first; archived subjects only fill leftover slots
+  const dashboardSubjects = useMemo(() => {
+    if (!db) return [];
+    return [...db.subjects].sort((a, b) => Number(!!a.archived) - Number(!!b.archived)).slice(0, 6);
+  }, [db]);
+
   const nextDueSubject = useMemo(() => dueTodaySubjects[0] || null, [dueTodaySubjects]);
 
   const sessionsOnSelectedDay = useMemo(() => {
-    if (!db) return 0;
-    return db.sessions.filter((s) => s.completedAt.slice(0, 10) === selectedDay).length;
-  }, [db, selectedDay]);
+    return sessionsOn(sessionIndex, selectedDay).length;
+  }, [sessionIndex, selectedDay]);
 
   const dueSubjectsOnSelectedDay = useMemo(() => {
     if (!db) return [];
     const today = isoDay();
-    return db.subjects.filter((s) => (s.nextReviewDate || today) <= selectedDay);
+    return db.subjects.filter((s) => !s.archived && (s.nextReviewDate || today) <= selectedDay);
   }, [db, selectedDay]);
 
+  const analyticsBounds = useMemo(
+    () => rangeBounds(analyticsRange, analyticsCustom, currentDay),
+    [analyticsRange, analyticsCustom, currentDay]
+  );
+
+  // The analytics range and the history browser read their sessions off IndexedDB's
+  // completedAt index; until a read lands they fall back to the in-memory index.
+  const [analyticsIndex, setAnalyticsIndex] = useState(null);
+  const [historyIndex, setHistoryIndex] = useState(null);
+  const { from: historyFrom, to: historyTo } = historyFilters;
+
+  useEffect(() => {
+    let cancelled = false;
+    loadSessionRange(analyticsBounds, sessions || []).then((rows) => {
+      if (!cancelled) setAnalyticsIndex(indexSessions(rows));
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [sessions, analyticsBounds]);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadSessionRange({ from: historyFrom, to: historyTo }, sessions || []).then((rows) => {
+      if (!cancelled) setHistoryIndex(indexSessions(rows));
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [sessions, historyFrom, historyTo]);
+
+  const analyticsSessions = analyticsIndex || sessionIndex;
+  const historySessions = historyIndex || sessionIndex;
+
   const rangeActivity = useMemo(() => {
     if (!db) return [];
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+    const { from, to } = analyticsBounds;
+    const perDay = dailyActivity(analyticsSessions, db.manualStudied, from, to);
+    const span = daysBetween(from, to) + 1;
 
     const arr = [];
-    for (let i = analyticsRange - 1; i >= 0; i--) {
-      const d = new Date(today);
-      d.setDate(today.getDate() - i);
-      const iso = d.toISOString().slice(0, 10);
-
-      const countSessions = db.sessions.filter((x) => x.completedAt.slice(0, 10) === iso).length;
-      const countManual = db.manualStudied?.[iso] ? 1 : 0;
-
+    for (let i = 0; i < span; i++) {
+      const iso = addDays(from, i);
       arr.push({
         iso,
         label:
-          analyticsRange === 7
-            ? d.toLocaleString(undefined, { weekday: "short" })
-            : d.toLocaleString(undefined, { month: "short", day: "numeric" }),
-        count: countSessions + countManual,
+          span <= 7 ? parseDay(iso).toLocaleString(undefined, { weekday: "short" }) : shortDay(iso),
+        count: perDay[iso]?.count || 0,
+        minutes: perDay[iso]?.minutes || 0,
       });
     }
     return arr;
-  }, [db, analyticsRange]);
+  }, [db, analyticsSessions, analyticsBounds]);
+
+  const heatmap = useMemo(() => {
+    if (!db) return [];
+    const activity = dailyActivity(sessionIndex, db.manualStudied, addDays(currentDay, -(HEATMAP_DAYS - 1)), currentDay);
+    return heatmapWeeks(activity, currentDay);
+  }, [db, sessionIndex, currentDay]);
+
+  const subjectMinutes = useMemo(
+    () => minutesBySubject(analyticsSessions, analyticsBounds.from, analyticsBounds.to, chartBucket),
+    [analyticsSessions, analyticsBounds, chartBucket]
+  );
 
   const subjectStats = useMemo(() => {
     if (!db) return [];
     const today = isoDay();
+    const last7By = {};
+    for (const x of sessionsBetween(sessionIndex, addDays(today, -6), today)) {
+      last7By[x.subjectId] = (last7By[x.subjectId] || 0) + 1;
+    }
+
     return db.subjects
       .map((s) => {
-        const total = db.sessions.filter((x) => x.subjectId === s.id).length;
-        const last7 = db.sessions.filter(
-          (x) => x.subjectId === s.id && withinLastNDays(x.completedAt.slice(0, 10), 7)
-        ).length;
+        const total = sessionsFor(sessionIndex, s.id).length;
+        const last7 = last7By[s.id] || 0;
 
-        const due = (s.nextReviewDate || today) <= today;
+        const dueItems = dueCount(s, today);
 
         return {
           id: s.id,
@@ -375,40 +808,76 @@ export default function Home() {
           examDate: s.examDate,
           nextReviewDate: s.nextReviewDate || today,
           intervalDays: s.intervalDays || 1,
-          easeStreak: s.easeStreak || 0,
+          ease: s.ease || 2.5,
           totalSessions: total,
           sessionsLast7: last7,
-          due,
+          due: dueItems > 0,
+          dueTopics: hasTopics(s) ? dueItems : 0,
+          topicCount: hasTopics(s) ? s.topics.length : 0,
+          archived: !!s.archived,
+          daysLeft: daysUntilExam(s, today),
+          readiness: readiness(s, { today, sessionsLast7: last7 }),
         };
       })
-      .sort((a, b) => Number(b.due) - Number(a.due) || b.sessionsLast7 - a.sessionsLast7);
+      .sort(
+        (a, b) =>
+          Number(a.archived) - Number(b.archived) ||
+          Number(b.due) - Number(a.due) ||
+          b.sessionsLast7 - a.sessionsLast7
+      );
+  }, [db, sessionIndex]);
+
+  const subjectStatsById = useMemo(
+    () => Object.fromEntries(subjectStats.map((s) => [s.id, s])),
+    [subjectStats]
+  );
+
+  const sessionsLast7ById = useMemo(
+    () => Object.fromEntries(subjectStats.map((s) => [s.id, s.sessionsLast7])),
+    [subjectStats]
+  );
+
+  const planItems = useMemo(() => {
+    if (!db?.dailyPlan?.items) return [];
+    return db.dailyPlan.items.map((item) => {
+      const subject = db.subjects.find((s) => s.id === item.subjectId);
+      const topic = (subject?.topics || []).find((t) => t.id === item.topicId);
+      return { ...item, subject, topic };
+    });
   }, [db]);
 
+  const currentPlanItem = useMemo(() => planItems.find((x) => !x.done && x.subject) || null, [planItems]);
+
   const history = useMemo(() => {
     if (!db) return [];
-    return [...db.sessions]
-      .sort((a, b) => (a.completedAt < b.completedAt ? 1 : -1))
-      .slice(0, 30)
+    const list = historySubjectId ? sessionsFor(sessionIndex, historySubjectId) : sessionIndex.sorted;
+    return list
+      .slice(-30)
+      .reverse()
       .map((s) => {
         const subj = db.subjects.find((x) => x.id === s.subjectId);
+        const topic = (subj?.topics || []).find((t) => t.id === s.topicId);
         return {
           id: s.id,
-          day: s.completedAt.slice(0, 10),
-          time: s.completedAt.slice(11, 16),
+          day: sessionDay(s),
+          time: sessionTime(s),
           subjectName: subj?.name || "Unknown",
+          topicName: topic?.name || "",
           subjectId: subj?.id || "",
           color: subj?.color || "#2563eb",
           difficulty: s.difficulty || "",
-          minutes: s.minutes || 25,
+          minutes: Math.round(sessionMinutes(s)),
+          partial: isPartial(s),
+          pauses: s.pauses || 0,
           note: s.note || "",
         };
       });
-  }, [db]);
+  }, [db, sessionIndex, historySubjectId]);
 
   const achievementModel = useMemo(() => {
     if (!db) return [];
-    const totalReviews = db.sessions.length;
-    const bestStreak = stats?.bestStreak || 0;
+    const totalReviews = db.sessions.filter((s) => !isPartial(s)).length;
+    const longestStreak = stats?.longestStreak || 0;
     const dueToday = stats?.dueToday || 0;
 
     return [
@@ -444,15 +913,15 @@ export default function Home() {
         key: "streak3",
         title: "Streak Starter",
         desc: "Reach a 3-day streak.",
-        progressText: `${Math.min(3, bestStreak)} / 3`,
-        done: bestStreak >= 3,
+        progressText: `${Math.min(3, longestStreak)} / 3`,
+        done: longestStreak >= 3,
       },
       {
         key: "streak7",
         title: "Weekly Warrior",
         desc: "Reach a 7-day streak.",
-        progressText: `${Math.min(7, bestStreak)} / 7`,
-        done: bestStreak >= 7,
+        progressText: `${Math.min(7, longestStreak)} / 7`,
+        done: longestStreak >= 7,
       },
       {
         key: "clearDue",
@@ -471,6 +940,17 @@ export default function Home() {
     return { total, unlocked, pct };
   }, [achievementModel]);
 
+  const historyEntries = useMemo(() => {
+    if (!db) return [];
+    return searchHistory(historySessions, db.calendarNotes, historyFilters);
+  }, [db, historySessions, historyFilters]);
+
+  const historyPages = pageCount(historyEntries.length);
+  const historyGroups = useMemo(() => {
+    const start = Math.min(historyPage, historyPages - 1) * HISTORY_PAGE_SIZE;
+    return groupHistory(historyEntries.slice(start, start + HISTORY_PAGE_SIZE), historyGroupBy);
+  }, [historyEntries, historyPage, historyPages, historyGroupBy]);
+
   const subjectDetail = useMemo(() => {
     if (!db) return null;
     if (!selectedSubjectDetailId) return null;
@@ -478,27 +958,42 @@ export default function Home() {
     const s = db.subjects.find((x) => x.id === selectedSubjectDetailId);
     if (!s) return null;
 
-    const sessions = db.sessions
-      .filter((x) => x.subjectId === s.id)
-      .sort((a, b) => (a.completedAt < b.completedAt ? 1 : -1))
-      .slice(0, 10);
-
-    const last7 = db.sessions.filter(
-      (x) => x.subjectId === s.id && withinLastNDays(x.completedAt.slice(0, 10), 7)
-    ).length;
+    const all = sessionsFor(sessionIndex, s.id);
+    const today = isoDay();
+    const weekAgo = addDays(today, -6);
+    const last7 = all.filter((x) => {
+      const day = sessionDay(x);
+      return day >= weekAgo && day <= today;
+    }).length;
 
     return {
       ...s,
-      sessions,
-      totalSessions: db.sessions.filter((x) => x.subjectId === s.id).length,
+      sessions: all.slice(-10).reverse(),
+      totalSessions: all.length,
       last7,
     };
-  }, [db, selectedSubjectDetailId]);
+  }, [db, sessionIndex, selectedSubjectDetailId]);
+
+  const editSession = useMemo(
+    () => (db && editSessionId ? db.sessions.find((s) => s.id === editSessionId) || null : null),
+    [db, editSessionId]
+  );
 
   const achievementDetail = useMemo(() => {
     return achievementModel.find((x) => x.key === selectedAchievementKey) || null;
   }, [achievementModel, selectedAchievementKey]);
 
+  const importPlan = useMemo(() => {
+    if (!db || !importFile?.db) return null;
+    return planImport(db, importFile.db, importMode);
+  }, [db, importFile, importMode]);
+
+  const bulkRows = useMemo(() => {
+    if (!db || !bulkFile) return [];
+    const rows = bulkFile.kind === "csv" ? csvRows(bulkFile.table, bulkMapping) : bulkFile.rows;
+    return checkImportRows(rows, db.subjects);
+  }, [db, bulkFile, bulkMapping]);
+
   /** ----- timer derived ----- */
   const timerCfg = useMemo(() => {
     const t = db?.timer || {};
@@ -510,83 +1005,319 @@ export default function Home() {
       autoStartBreak: !!t.autoStartBreak,
       autoStartPomodoro: !!t.autoStartPomodoro,
       endSound: t.endSound !== false,
+      chime: t.chime || "beeps",
+      volume: Number(t.volume ?? 0.7),
+      ambient: t.ambient || "off",
+      ambientVolume: Number(t.ambientVolume ?? 0.3),
+      breakCues: t.breakCues !== false,
+      presets: Array.isArray(t.presets) ? t.presets : [],
+      presetId: t.presetId || "",
     };
   }, [db]);
 
+  const weekdayMinutes = db?.scheduling?.weekdayMinutes || DEFAULT_WEEKDAY_MINUTES;
+
+  // recomputed from today on every change, which is what rebalances missed or extra days
+  const examPlan = useMemo(() => {
+    if (!db) return { days: {}, subjects: [] };
+    return buildStudyPlan({
+      subjects: db.subjects,
+      sessions: sessionIndex.sorted,
+      today: isoDay(),
+      weekdayMinutes,
+      pomodoroMin: timerCfg.pomodoroMin,
+    });
+  }, [db, sessionIndex, weekdayMinutes, timerCfg.pomodoroMin]);
+
+  const examPlanDays = useMemo(() => Object.entries(examPlan.days).slice(0, 14), [examPlan]);
+
   const totalSecondsForMode = useMemo(() => {
     if (!db) return 25 * 60;
-    if (mode === "pomodoro") return timerCfg.pomodoroMin * 60;
-    if (mode === "short") return timerCfg.shortMin * 60;
-    return timerCfg.longMin * 60;
-  }, [db, mode, timerCfg]);
+    return modeSeconds(mode, timerCfg, flowBreakSec);
+  }, [db, mode, timerCfg, flowBreakSec]);
+
+  // with several tabs open, one owns the running timer and the others mirror it
+  const ownsTimer = db?.activeTimer?.owner === TAB_ID;
+  const isMirror = !!db?.activeTimer && !ownsTimer;
 
+  // flow has no end, so its ring fills up towards one regular Pomodoro
   const progressPct = useMemo(() => {
-    const total = Math.max(1, totalSecondsForMode);
+    if (mode === "flow") return Math.min(100, Math.round((seconds / (timerCfg.pomodoroMin * 60)) * 100));
+    const total = Math.max(1, totalSecondsForMode + clock.addedSec);
     const done = total - Math.max(0, seconds);
     return Math.max(0, Math.min(100, Math.round((done / total) * 100)));
-  }, [seconds, totalSecondsForMode]);
+  }, [mode, seconds, totalSecondsForMode, clock.addedSec, timerCfg.pomodoroMin]);
 
   /** -------------------- effects -------------------- */
+  useEffect(() => onStorageError((err) => setStorageError(storageErrorMessage(err))), []);
+
+  // other tabs' saves arrive as ops (or a changed localStorage blob) and merge into state
+  useEffect(() => onRemoteChange((update) => setDb((cur) => (cur ? update(cur) : cur))), []);
+
+  // open timelines at the start of a usual study day rather than midnight
+  useEffect(() => {
+    if (modal === "calendar" && calMode !== "month" && timelineRef.current) timelineRef.current.scrollTop = 7 * HOUR_PX;
+  }, [modal, calMode]);
+
+  // dev rebuilds chunks in place, so only production gets the caching worker
   useEffect(() => {
-    const loaded = loadDB();
-    if (canNotify()) loaded.notificationPermission = Notification.permission;
-    setDb(loaded);
+    if (process.env.NODE_ENV === "production") registerServiceWorker();
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    // sessions + calendar notes arrive asynchronously from IndexedDB
+    openDB().then((loaded) => {
+      if (cancelled) return;
+      if (canNotify()) loaded.notificationPermission = Notification.permission;
+      setDb(loaded);
 
-    if (loaded.subjects?.[0]?.id) setActiveSubjectId(loaded.subjects[0].id);
-    if (!loaded.onboardingDone) setModal("welcome");
+      if (loaded.subjects?.[0]?.id) setActiveSubjectId(loaded.subjects[0].id);
+      if (!loaded.onboardingDone) setModal("welcome");
 
-    const cfg = loaded.timer || {};
-    setSeconds(Number(cfg.pomodoroMin || 25) * 60);
+      const cfg = loaded.timer || {};
+      setSeconds(Number(cfg.pomodoroMin || 25) * 60);
+    });
+
+    return () => {
+      cancelled = true;
+    };
   }, []);
 
   useEffect(() => {
-    if (!running) return;
-    tickRef.current = setInterval(() => setSeconds((x) => x - 1), 1000);
-    return () => clearInterval(tickRef.current);
-  }, [running]);
+    // wait for a saved countdown to be restored before overwriting it; mirrors never write
+    if (!db || resumeRef.current || isMirror) return;
+    const activeTimer = timerSnapshot({
+      owner: TAB_ID,
+      mode,
+      running,
+      seconds,
+      total: totalSecondsForMode,
+      clock,
+      subjectId: activeSubjectId,
+      topicId: activeTopicId,
+      note: sessionNote,
+    });
+    if (sameSnapshot(activeTimer, db.activeTimer)) return;
+    const next = { ...db, activeTimer };
+    setDb(next);
+    saveDB(next);
+  }, [db, isMirror, mode, running, seconds, totalSecondsForMode, clock, activeSubjectId, activeTopicId, sessionNote]);
+
+  // takes over a timer snapshot: one restored after a reload, or another tab's
+  const adoptTimer = useCallback(
+    (saved) => {
+      setActiveSubjectId(saved.subjectId || "");
+      setActiveTopicId(saved.topicId || "");
+      setSessionNote(saved.note || "");
+      setClock({
+        startedAt: saved.startedAt || 0,
+        endsAt: saved.endsAt || 0,
+        zeroAt: saved.zeroAt || 0,
+        addedSec: saved.addedSec || 0,
+        interruptions: saved.interruptions || [],
+      });
+      if (saved.zeroAt) {
+        setSeconds(elapsedSeconds(saved.zeroAt));
+        setRunning(true);
+      } else if (saved.endsAt) {
+        // a countdown that ran out while the tab was closed completes right away
+        setSeconds(remainingSeconds(saved.endsAt));
+        setRunning(true);
+        if (saved.endsAt <= Date.now() && saved.mode === "pomodoro") showToast("Pomodoro finished while you were away");
+      } else {
+        setSeconds(saved.remaining);
+        setRunning(false);
+      }
+    },
+    [showToast]
+  );
+
+  // Another tab's timer, or one left running before a reload: show it here and ask
+  // whether its owner is still around. If nobody answers, this tab takes it over.
+  useEffect(() => {
+    if (!db) return;
+    const t = db.activeTimer;
+    const onLoad = !adoptedOnLoadRef.current;
+    adoptedOnLoadRef.current = true;
+
+    if (t && t.owner !== TAB_ID) {
+      if (sameSnapshot(t, mirrorRef.current)) return;
+      if (t.owner !== mirrorRef.current?.owner) {
+        ownerSeenRef.current = Date.now() - OWNER_TIMEOUT + 1500;
+        broadcast({ type: "timer-ping" });
+      }
+      mirrorRef.current = t;
+      if (t.mode === "flowBreak") setFlowBreakSec(t.total);
+      if (t.mode !== mode) {
+        resumeRef.current = t;
+        setMode(t.mode);
+      } else {
+        adoptTimer(t);
+      }
+      if (onLoad && db.onboardingDone) setModal("timer");
+    } else if (mirrorRef.current) {
+      mirrorRef.current = null;
+      // the owner finished or reset it
+      if (!t) {
+        setRunning(false);
+        setClock(idleClock());
+        setSeconds(totalSecondsForMode);
+      }
+    }
+  }, [db, mode, totalSecondsForMode, adoptTimer]);
+
+  useEffect(() => {
+    if (!db || !isMirror) return;
+    const id = setInterval(() => {
+      if (Date.now() - ownerSeenRef.current < OWNER_TIMEOUT) return;
+      mirrorRef.current = null;
+      const next = { ...db, activeTimer: { ...db.activeTimer, owner: TAB_ID } };
+      setDb(next);
+      saveDB(next);
+    }, 500);
+    return () => clearInterval(id);
+  }, [db, isMirror]);
+
+  useEffect(() => {
+    if (!ownsTimer) return;
+    const beat = () => broadcast({ type: "timer-alive" });
+    const release = () => broadcast({ type: "timer-release" });
+    beat();
+    const id = setInterval(beat, HEARTBEAT_MS);
+    window.addEventListener("pagehide", release);
+    return () => {
+      clearInterval(id);
+      window.removeEventListener("pagehide", release);
+    };
+  }, [ownsTimer]);
+
+  useEffect(
+    () =>
+      onBroadcast((msg) => {
+        if (msg.type === "timer-alive") ownerSeenRef.current = Date.now();
+        // spread out so that only one of several mirrors takes over
+        else if (msg.type === "timer-release") ownerSeenRef.current = Date.now() - OWNER_TIMEOUT + Math.random() * 500;
+        else if (msg.type === "timer-ping" && timerCtlRef.current.owns) broadcast({ type: "timer-alive" });
+        else if (msg.type === "timer-control" && msg.to === TAB_ID) timerCtlRef.current[msg.action]?.(msg.arg);
+      }),
+    []
+  );
+
+  useEffect(() => {
+    timerCtlRef.current = {
+      owns: ownsTimer,
+      toggle: toggleRunning,
+      reset: resetTimer,
+      skip: skipTimer,
+      finish: finishFlow,
+      addTime,
+      mode: setTimerMode,
+      tag: tagInterruption,
+    };
+  });
+
+  // starting fixes the end (or zero) time from the display; pausing drops it
+  useEffect(() => {
+    const anchored = clock.endsAt || clock.zeroAt;
+    if (running && !anchored) {
+      const now = Date.now();
+      const anchor = mode === "flow" ? { zeroAt: now - seconds * 1000 } : { endsAt: now + seconds * 1000 };
+      setClock((c) => ({ ...c, ...anchor, startedAt: c.startedAt || now }));
+    } else if (!running && anchored) {
+      setSeconds(clock.zeroAt ? elapsedSeconds(clock.zeroAt) : remainingSeconds(clock.endsAt));
+      setClock((c) => ({ ...c, endsAt: 0, zeroAt: 0 }));
+    }
+  }, [running, clock, seconds, mode]);
+
+  useEffect(() => {
+    if (!running || !(clock.endsAt || clock.zeroAt)) return;
+    const tick = () => setSeconds(clock.zeroAt ? elapsedSeconds(clock.zeroAt) : remainingSeconds(clock.endsAt));
+    tick();
+    tickRef.current = setInterval(tick, 1000);
+    // background tabs may tick late; catch up as soon as the tab is visible again
+    document.addEventListener("visibilitychange", tick);
+    return () => {
+      clearInterval(tickRef.current);
+      document.removeEventListener("visibilitychange", tick);
+    };
+  }, [running, clock.endsAt, clock.zeroAt]);
 
   useEffect(() => {
     if (!db) return;
+    const saved = resumeRef.current;
+    if (saved) {
+      resumeRef.current = null;
+      adoptTimer(saved);
+      return;
+    }
+    // a mirrored timer only changes when its owner says so
+    if (mirrorRef.current) return;
     setRunning(false);
     setSeconds(totalSecondsForMode);
+    setClock(idleClock());
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [mode, db?.timer?.pomodoroMin, db?.timer?.shortMin, db?.timer?.longMin]);
 
   useEffect(() => {
     if (!db) return;
-    if (!running) return;
+    if (!running || mode === "flow" || isMirror) return;
     if (seconds > 0) return;
 
     setRunning(false);
+    setClock(idleClock());
     clearInterval(tickRef.current);
 
-    if (timerCfg.endSound) playEndSound();
+    // breaks get their own cue so the end of one doesn't sound like the end of work
+    if (mode !== "pomodoro" && timerCfg.breakCues) playCue("breakEnd", timerCfg.volume);
+    else playEndSound(timerCfg);
+    // same tag as the one scheduled with the service worker, so it shows only once
+    if (document.hidden && db.notificationsEnabled) {
+      const { title, body } = timerEndMessage(mode);
+      sendNotification(title, body, `timer-${clock.endsAt}`);
+    }
 
     if (mode === "pomodoro") {
       const subjectId = activeSubjectId || db.subjects[0]?.id;
-      const session = {
-        id: crypto.randomUUID(),
+      const topicId = activeTopic && activeSubject?.id === subjectId ? activeTopic.id : "";
+      const session = sessionFromTimer({
         subjectId,
-        type: "pomodoro",
-        minutes: timerCfg.pomodoroMin,
-        completedAt: new Date().toISOString(),
-        note: sessionNote.trim(),
-      };
-
-      const next = {
-        ...db,
-        sessions: [...db.sessions, session],
-        pomodoroCycleCount: (db.pomodoroCycleCount || 0) + 1,
-      };
+        topicId,
+        note: sessionNote,
+        clock,
+        focusedSec: focusedSeconds(totalSecondsForMode, clock, 0),
+        endedAt: clock.endsAt || Date.now(),
+        mode,
+        presetId: timerCfg.presetId,
+      });
 
+      const { next, upNext } = recordSession(db, session);
       setDb(next);
       saveDB(next);
 
       setLastCompletedSubjectId(subjectId || "");
+      setLastCompletedTopicId(topicId);
+      setLastCompletedSessionId(session.id);
+
+      // the next Pomodoro picks up where the plan left off
+      if (upNext && db.subjects.some((s) => s.id === upNext.subjectId)) {
+        setActiveSubjectId(upNext.subjectId);
+        setActiveTopicId(upNext.topicId);
+      }
+
       setModal("review");
       return;
     }
 
+    // a flow break leads back into flow rather than a fixed Pomodoro
+    if (mode === "flowBreak") {
+      setMode("flow");
+      setSeconds(0);
+      if (timerCfg.autoStartPomodoro) setRunning(true);
+      return;
+    }
+
     if (mode === "short" || mode === "long") {
       if (timerCfg.autoStartPomodoro) {
         setMode("pomodoro");
@@ -597,26 +1328,115 @@ export default function Home() {
         setSeconds(timerCfg.pomodoroMin * 60);
       }
     }
-  }, [seconds, running, mode, db, activeSubjectId, timerCfg, sessionNote]);
+  }, [seconds, running, mode, db, isMirror, activeSubjectId, activeSubject, activeTopic, timerCfg, sessionNote, clock, totalSecondsForMode]);
 
   useEffect(() => {
     if (!db) return;
-    if (!canNotify()) return;
-    if (!db.notificationsEnabled) return;
-    if (db.notificationPermission !== "granted") return;
-
     const today = isoDay();
-    if (db.lastDueNotifyDay === today) return;
+    // also retry an empty plan once there is something to plan
+    const hasActive = db.subjects.some((s) => !s.archived);
+    if (db.dailyPlan?.day === today && (db.dailyPlan.items.length > 0 || !hasActive)) return;
+
+    const dailyPlan = buildDailyPlan({
+      subjects: db.subjects,
+      sessionsLast7: sessionsLast7ById,
+      today,
+      goal: db.dailyGoal || 1,
+    });
+    const next = { ...db, dailyPlan };
+    setDb(next);
+    saveDB(next);
+  }, [db, sessionsLast7ById]);
 
-    const due = db.subjects.filter((s) => (s.nextReviewDate || today) <= today);
-    if (due.length === 0) return;
+  useEffect(() => {
+    if (!db) return;
+    const subjects = archivePassedExams(db.subjects, isoDay());
+    if (subjects === db.subjects) return;
 
-    sendNotification("StudyPace reminder", `${due.length} subject(s) due for review today.`);
-    const next = { ...db, lastDueNotifyDay: today };
+    const next = { ...db, subjects };
     setDb(next);
     saveDB(next);
   }, [db]);
 
+  // the owning tab hands the countdown's end to the service worker, which (with
+  // Notification Triggers) can notify on time even when this tab is hidden and throttled
+  const notifyTimer = !!db?.notificationsEnabled && running && !isMirror && mode !== "flow" && clock.endsAt > 0;
+  useEffect(() => {
+    if (!notifyTimer) return;
+    const { title, body } = timerEndMessage(mode);
+    scheduleNotification("timer", clock.endsAt, { title, body, tag: `timer-${clock.endsAt}` });
+    return () => cancelNotification("timer");
+  }, [notifyTimer, mode, clock.endsAt]);
+
+  // cue once when a break actually starts, not when a paused one resumes or a reload picks it up
+  const breakStartedAt = running && !isMirror && mode !== "pomodoro" && mode !== "flow" ? clock.startedAt : 0;
+  useEffect(() => {
+    if (!breakStartedAt || !timerCfg.breakCues) return;
+    if (Date.now() - breakStartedAt < 3000) playCue("breakStart", timerCfg.volume);
+  }, [breakStartedAt, timerCfg.breakCues, timerCfg.volume]);
+
+  // background noise only while focusing, and only in the tab that runs the timer
+  // the slider moves the playing sound's gain; the ref gives a restart the latest volume
+  const ambientKind = running && !isMirror && (mode === "pomodoro" || mode === "flow") ? timerCfg.ambient : "off";
+  const ambientVolumeRef = useRef(timerCfg.ambientVolume);
+  useEffect(() => {
+    ambientVolumeRef.current = timerCfg.ambientVolume;
+    setAmbientVolume(timerCfg.ambientVolume);
+  }, [timerCfg.ambientVolume]);
+
+  useEffect(() => {
+    if (ambientKind === "off") return;
+    startAmbient(ambientKind, ambientVolumeRef.current);
+    return () => stopAmbient();
+  }, [ambientKind]);
+
+  // rules are checked every minute, and right away when the app is (re)opened
+  useEffect(() => {
+    const id = setInterval(() => setNow(Date.now()), 60 * 1000);
+    return () => clearInterval(id);
+  }, []);
+
+  const remindersOn = !!db?.notificationsEnabled && db?.notificationPermission === "granted";
+  const reminderCtx = useMemo(() => {
+    if (!db || !stats) return null;
+    return {
+      today: currentDay,
+      dueToday: stats.dueToday,
+      todayDone: stats.todayDone,
+      goal: stats.goal,
+      studiedToday: stats.studiedToday,
+      streak: stats.currentStreak,
+      subjects: db.subjects,
+    };
+  }, [db, stats, currentDay]);
+
+  useEffect(() => {
+    if (!db || !reminderCtx || !remindersOn || !canNotify()) return;
+    const fired = dueReminders({ rules: db.reminders, history: db.reminderHistory, ctx: reminderCtx, now });
+    if (!fired.length) return;
+
+    fired.forEach((f) => sendNotification(f.title, f.body, `reminder-${f.key}`));
+    const next = { ...db, reminderHistory: logFired(db.reminderHistory, fired, now) };
+    setDb(next);
+    saveDB(next);
+  }, [db, reminderCtx, remindersOn, now]);
+
+  // the rest of today's reminders go to the service worker, so where Notification Triggers
+  // exist they still show with the tab hidden or closed; same tag as the page's own, so an
+  // occurrence shows once
+  const upcoming = useMemo(() => {
+    if (!db || !reminderCtx || !remindersOn) return [];
+    return upcomingReminders({ rules: db.reminders, history: db.reminderHistory, ctx: reminderCtx, now });
+  }, [db, reminderCtx, remindersOn, now]);
+  const upcomingKey = JSON.stringify(upcoming);
+  const scheduledRef = useRef([]);
+  useEffect(() => {
+    const list = JSON.parse(upcomingKey);
+    scheduledRef.current.filter((key) => !list.some((r) => r.key === key)).forEach(cancelNotification);
+    list.forEach((r) => scheduleNotification(r.key, r.at, { title: r.title, body: r.body, tag: `reminder-${r.key}` }));
+    scheduledRef.current = list.map((r) => r.key);
+  }, [upcomingKey]);
+
   /** -------------------- early return ONLY after hooks -------------------- */
   if (!db) return null;
 
@@ -634,12 +1454,6 @@ export default function Home() {
   const inputBase = isDark ? "border-zinc-800 bg-zinc-900" : "border-zinc-200 bg-zinc-100";
 
   /** toast helper */
-  const showToast = (msg) => {
-    setToast(msg);
-    window.clearTimeout(showToast._t);
-    showToast._t = window.setTimeout(() => setToast(""), 1800);
-  };
-
   const setTheme = (t) => {
     const next = { ...db, theme: t };
     setDb(next);
@@ -656,30 +1470,92 @@ export default function Home() {
 
   const updateGoal = (val) => {
     const goal = Math.max(1, Math.min(10, Number(val || 1)));
-    const next = { ...db, dailyGoal: goal };
+    const next = { ...db, dailyGoal: goal, dailyPlan: planFor(db, goal) };
     setDb(next);
     saveDB(next);
   };
 
-  const submitSubject = () => {
-    if (!subjectName.trim() || !examDate) return;
-    const today = isoDay();
-    const subject = {
-      id: crypto.randomUUID(),
-      name: subjectName.trim(),
-      examDate,
-      nextReviewDate: today,
-      color: randomColor(),
-      intervalDays: 1,
-      easeStreak: 0,
-    };
-
-    const next = { ...db, subjects: [...db.subjects, subject] };
+  const saveStreakSettings = (patch) => {
+    const next = { ...db, streak: { ...db.streak, ...patch } };
+    setDb(next);
+    saveDB(next);
+  };
+
+  // keeps what's already ticked off and refills the rest of today's slots
+  const planFor = (base, goal = base.dailyGoal || 1) => {
+    const keep = (base.dailyPlan?.day === isoDay() ? base.dailyPlan.items : []).filter((x) => x.done);
+    return buildDailyPlan({
+      subjects: base.subjects,
+      sessionsLast7: sessionsLast7ById,
+      today: isoDay(),
+      goal,
+      keep,
+    });
+  };
+
+  const rebuildPlan = () => {
+    const next = { ...db, dailyPlan: planFor(db) };
+    setDb(next);
+    saveDB(next);
+    showToast("Plan rebuilt 🧭");
+  };
+
+  const togglePlanItem = (id) => {
+    const next = {
+      ...db,
+      dailyPlan: {
+        ...db.dailyPlan,
+        items: db.dailyPlan.items.map((x) => (x.id === id ? { ...x, done: !x.done } : x)),
+      },
+    };
+    setDb(next);
+    saveDB(next);
+  };
+
+  const saveWeekdayMinutes = (weekday, minutes) => {
+    const list = [...weekdayMinutes];
+    list[weekday] = Math.max(0, Math.min(720, Number(minutes || 0)));
+    saveSchedulingSettings({ weekdayMinutes: list });
+  };
+
+  const saveTargetPomodoros = (subjectId, value) => {
+    const next = {
+      ...db,
+      subjects: db.subjects.map((s) =>
+        s.id === subjectId ? { ...s, targetPomodoros: Math.max(0, Math.min(500, Number(value || 0))) } : s
+      ),
+    };
+    setDb(next);
+    saveDB(next);
+  };
+
+  const startPlanItem = (item) => {
+    openTimer(item.subjectId);
+    setActiveTopicId(item.topicId || "");
+  };
+
+  const submitSubject = () => {
+    if (!subjectName.trim() || !examDate) return;
+    const today = isoDay();
+    const subject = {
+      id: crypto.randomUUID(),
+      name: subjectName.trim(),
+      examDate,
+      color: randomColor(),
+      ...newSchedule(today),
+      topics: subjectTopics
+        .split("\n")
+        .filter((line) => line.trim())
+        .map((line) => newTopic(line, today)),
+    };
+
+    const next = { ...db, subjects: [...db.subjects, subject] };
     setDb(next);
     saveDB(next);
 
     setSubjectName("");
     setExamDate("");
+    setSubjectTopics("");
     if (next.subjects.length === 1) setActiveSubjectId(subject.id);
 
     setModal(null);
@@ -692,20 +1568,41 @@ export default function Home() {
     setEditExamDate(sub.examDate);
     setEditNextReviewDate(sub.nextReviewDate || isoDay());
     setEditColor(sub.color || "#2563eb");
+    setEditTopics(sub.topics || []);
+    setNewTopicName("");
     setModal("edit");
   };
 
+  const addEditTopic = () => {
+    if (!newTopicName.trim()) return;
+    setEditTopics((list) => [...list, newTopic(newTopicName, isoDay())]);
+    setNewTopicName("");
+  };
+
+  const moveEditTopic = (idx, dir) => {
+    setEditTopics((list) => {
+      const to = idx + dir;
+      if (to < 0 || to >= list.length) return list;
+      const copy = [...list];
+      [copy[idx], copy[to]] = [copy[to], copy[idx]];
+      return copy;
+    });
+  };
+
   const saveEdit = () => {
     if (!editName.trim() || !editExamDate) return;
     const nextSubjects = db.subjects.map((s) =>
       s.id === editId
-        ? {
+        ? rollupSubject({
             ...s,
             name: editName.trim(),
             examDate: editExamDate,
             nextReviewDate: editNextReviewDate,
             color: editColor,
-          }
+            topics: editTopics
+              .map((t) => ({ ...t, name: t.name.trim() }))
+              .filter((t) => t.name),
+          })
         : s
     );
     const next = { ...db, subjects: nextSubjects };
@@ -721,47 +1618,160 @@ export default function Home() {
     const next = { ...db, subjects: nextSubjects, sessions: nextSessions };
     setDb(next);
     saveDB(next);
-    if (activeSubjectId === id) setActiveSubjectId(nextSubjects[0]?.id || "");
+    if (activeSubjectId === id) selectSubject(nextSubjects[0]?.id || "");
     showToast("Subject deleted");
   };
 
-  const openTimer = (subjectId) => {
-    if (subjectId) setActiveSubjectId(subjectId);
-    else if (!activeSubjectId && db.subjects[0]?.id) setActiveSubjectId(db.subjects[0].id);
+  const selectSubject = (id) => {
+    const sub = db.subjects.find((s) => s.id === id);
+    setActiveSubjectId(id);
+    setActiveTopicId(sub ? suggestTopic(sub, isoDay())?.id || "" : "");
+  };
 
+  // a mirroring tab forwards button presses to the tab that owns the timer
+  const sendControl = (action, arg) => {
+    broadcast({ type: "timer-control", to: db.activeTimer?.owner, action, arg });
+  };
+
+  const openTimer = (subjectId) => {
+    if (isMirror) return setModal("timer");
+    if (subjectId) selectSubject(subjectId);
+    else if (!activeSubjectId && db.subjects[0]?.id) selectSubject(db.subjects[0].id);
+    else if (activeSubject) selectSubject(activeSubject.id);
+
+    // flow users stay in flow; everything else starts a fresh Pomodoro
+    const m = mode === "flow" ? "flow" : "pomodoro";
+    logPartial("switch");
     setSessionNote("");
-    setMode("pomodoro");
-    setSeconds(timerCfg.pomodoroMin * 60);
+    setMode(m);
+    setSeconds(modeSeconds(m, timerCfg, flowBreakSec));
     setRunning(false);
+    setClock(idleClock());
     setModal("timer");
   };
 
+  const studiedSeconds = () => {
+    if (mode === "flow") return clock.zeroAt ? elapsedSeconds(clock.zeroAt) : seconds;
+    return focusedSeconds(totalSecondsForMode, clock, clock.endsAt ? remainingSeconds(clock.endsAt) : seconds);
+  };
+
+  // keeps the part of a Pomodoro (or flow stretch) that was actually studied when it's cut short
+  const logPartial = (endedBy) => {
+    if ((mode !== "pomodoro" && mode !== "flow") || !clock.startedAt) return false;
+    const focusedSec = studiedSeconds();
+    const subjectId = activeSubjectId || db.subjects[0]?.id;
+    if (focusedSec < MIN_PARTIAL_SEC || !subjectId) return false;
+
+    const topicId = activeTopic && activeSubject?.id === subjectId ? activeTopic.id : "";
+    const session = sessionFromTimer({
+      subjectId,
+      topicId,
+      note: sessionNote,
+      clock,
+      focusedSec,
+      endedAt: Date.now(),
+      endedBy,
+      mode,
+      presetId: timerCfg.presetId,
+    });
+    const next = { ...db, sessions: [...db.sessions, session], activeTimer: null };
+    setDb(next);
+    saveDB(next);
+    showToast(`Logged ${session.minutes} min as a partial session`);
+    return true;
+  };
+
+  // ends a flow stretch: logs what was studied, asks for the rating, then suggests a proportional break
+  const finishFlow = () => {
+    if (isMirror) return sendControl("finish");
+    const focusedSec = studiedSeconds();
+    const subjectId = activeSubjectId || db.subjects[0]?.id;
+    setRunning(false);
+    setSeconds(0);
+    setClock(idleClock());
+    if (focusedSec < MIN_PARTIAL_SEC || !subjectId) return showToast("Too short to log");
+
+    const topicId = activeTopic && activeSubject?.id === subjectId ? activeTopic.id : "";
+    const session = sessionFromTimer({
+      subjectId,
+      topicId,
+      note: sessionNote,
+      clock,
+      focusedSec,
+      endedAt: Date.now(),
+      mode,
+      presetId: timerCfg.presetId,
+    });
+    const { next, upNext } = recordSession(db, session);
+    setDb(next);
+    saveDB(next);
+    playEndSound(timerCfg);
+
+    setFlowBreakSec(flowBreakSeconds(focusedSec));
+    setLastCompletedSubjectId(subjectId);
+    setLastCompletedTopicId(topicId);
+    setLastCompletedSessionId(session.id);
+    if (upNext && db.subjects.some((s) => s.id === upNext.subjectId)) {
+      setActiveSubjectId(upNext.subjectId);
+      setActiveTopicId(upNext.topicId);
+    }
+    setModal("review");
+  };
+
+  const pauseTimer = (reason = "") => {
+    if (!running || isMirror) return;
+    if (mode === "pomodoro" || mode === "flow") {
+      const at = new Date().toISOString();
+      setClock((c) => ({ ...c, interruptions: [...c.interruptions, { at, reason }] }));
+    }
+    setRunning(false);
+  };
+
+  const toggleRunning = () => {
+    if (isMirror) sendControl("toggle");
+    else if (running) pauseTimer();
+    else setRunning(true);
+  };
+
+  const tagInterruption = (reason) => {
+    if (isMirror) return sendControl("tag", reason);
+    setClock((c) => ({
+      ...c,
+      interruptions: c.interruptions.map((x, i) => (i === c.interruptions.length - 1 ? { ...x, reason } : x)),
+    }));
+  };
+
   const setTimerMode = (m) => {
+    if (isMirror) return sendControl("mode", m);
+    logPartial("switch");
     setMode(m);
     setRunning(false);
-    setSeconds(
-      m === "pomodoro"
-        ? timerCfg.pomodoroMin * 60
-        : m === "short"
-        ? timerCfg.shortMin * 60
-        : timerCfg.longMin * 60
-    );
+    setClock(idleClock());
+    setSeconds(modeSeconds(m, timerCfg, flowBreakSec));
   };
 
   const resetTimer = () => {
+    if (isMirror) return sendControl("reset");
+    logPartial("reset");
     setRunning(false);
     setSeconds(totalSecondsForMode);
+    setClock(idleClock());
   };
 
   const addTime = (min) => {
+    if (isMirror) return sendControl("addTime", min);
     setSeconds((s) => Math.max(0, s + min * 60));
+    setClock((c) => ({ ...c, addedSec: c.addedSec + min * 60, endsAt: c.endsAt ? c.endsAt + min * 60000 : 0 }));
     showToast(`+${min} min added`);
   };
 
   const skipTimer = () => {
+    if (isMirror) return sendControl("skip");
+    const logged = logPartial("skip");
     setRunning(false);
     setSeconds(0);
-    showToast("Skipped ⏭️");
+    setClock(idleClock());
+    if (!logged) showToast("Skipped ⏭️");
   };
 
   const saveTimerSettings = (patch) => {
@@ -770,40 +1780,67 @@ export default function Home() {
     saveDB(next);
   };
 
-  const applyDifficulty = (difficulty) => {
+  const applyPreset = (id) => {
+    const p = timerCfg.presets.find((x) => x.id === id);
+    if (!p) return;
+    saveTimerSettings({ presetId: p.id, pomodoroMin: p.pomodoroMin, shortMin: p.shortMin, longMin: p.longMin });
+    showToast(`Preset: ${p.name}`);
+  };
+
+  const savePreset = () => {
+    const name = presetName.trim();
+    if (!name) return;
+    const preset = {
+      id: crypto.randomUUID(),
+      name,
+      pomodoroMin: timerCfg.pomodoroMin,
+      shortMin: timerCfg.shortMin,
+      longMin: timerCfg.longMin,
+    };
+    saveTimerSettings({ presets: [...timerCfg.presets, preset], presetId: preset.id });
+    setPresetName("");
+    showToast("Preset saved ✅");
+  };
+
+  const deletePreset = (id) => {
+    saveTimerSettings({
+      presets: timerCfg.presets.filter((p) => p.id !== id),
+      presetId: timerCfg.presetId === id ? "" : timerCfg.presetId,
+    });
+  };
+
+  const saveSchedulingSettings = (patch) => {
+    const next = { ...db, scheduling: { ...db.scheduling, ...patch } };
+    setDb(next);
+    saveDB(next);
+  };
+
+  const applyDifficulty = (grade) => {
     const today = isoDay();
     const next = { ...db, sessions: [...db.sessions] };
 
-    // attach difficulty to last session
-    const lastIdx = next.sessions.length - 1;
-    if (lastIdx >= 0) next.sessions[lastIdx] = { ...next.sessions[lastIdx], difficulty };
-
+    // the rating belongs to the session the timer just recorded, not a partial or a
+    // hand-logged one added after it
+    const lastIdx = next.sessions.findIndex((s) => s.id === lastCompletedSessionId);
     const sid = lastCompletedSubjectId || activeSubjectId || next.sessions[lastIdx]?.subjectId;
+    const subject = next.subjects.find((s) => s.id === sid);
+    const topic = (subject?.topics || []).find((t) => t.id === lastCompletedTopicId) || null;
 
-    next.subjects = next.subjects.map((s) => {
-      if (s.id !== sid) return s;
+    if (subject) {
+      const before = scheduleState(topic || subject);
+      const after = review(before, grade, { today, examDate: subject.examDate, cramWindowDays });
 
-      let interval = s.intervalDays || 1;
-      let streak = s.easeStreak || 0;
-
-      if (difficulty === "easy") {
-        streak += 1;
-        interval = Math.min(30, interval * 2);
-      } else if (difficulty === "medium") {
-        streak = 0;
-        interval = Math.min(14, Math.max(2, interval));
-      } else {
-        streak = 0;
-        interval = 1;
+      // the before/after snapshot lets the schedule be audited or replayed later
+      if (lastIdx >= 0) {
+        next.sessions[lastIdx] = { ...next.sessions[lastIdx], difficulty: grade, review: { before, after } };
       }
-
-      return {
-        ...s,
-        intervalDays: interval,
-        easeStreak: streak,
-        nextReviewDate: addDays(today, interval),
-      };
-    });
+      next.subjects = next.subjects.map((s) => {
+        if (s.id !== sid) return s;
+        return topic ? updateTopic(s, topic.id, after) : { ...s, ...after };
+      });
+    } else if (lastIdx >= 0) {
+      next.sessions[lastIdx] = { ...next.sessions[lastIdx], difficulty: grade };
+    }
 
     // decide next break type
     const count = next.pomodoroCycleCount || 0;
@@ -814,15 +1851,15 @@ export default function Home() {
     saveDB(next);
     setModal(null);
 
-    const nextMode = shouldLong ? "long" : "short";
+    const nextMode = mode === "flow" ? "flowBreak" : shouldLong ? "long" : "short";
     setTimerMode(nextMode);
 
     if (timerCfg.autoStartBreak) setRunning(true);
     else setRunning(false);
 
-    showToast(
-      `Saved ${difficulty.toUpperCase()} ✅ → ${shouldLong ? "Long break" : "Short break"}`
-    );
+    const breakLabel =
+      nextMode === "flowBreak" ? `${flowBreakSec / 60} min break` : shouldLong ? "Long break" : "Short break";
+    showToast(`Saved ${grade.toUpperCase()} ✅ → ${breakLabel}`);
   };
 
   const resetAllData = () => {
@@ -835,6 +1872,92 @@ export default function Home() {
     showToast("Reset done");
   };
 
+  const exportData = () => {
+    downloadFile(backupFilename(isoDay()), exportBackup(db), "application/json");
+    showToast("Backup downloaded 💾");
+  };
+
+  const exportCalendar = () => {
+    downloadFile(icsFilename(currentDay), exportIcs(db, { today: currentDay, includeSessions: icsSessions }), "text/calendar");
+    setModal(null);
+    showToast("Calendar file downloaded 📅");
+  };
+
+  const openImport = () => {
+    setImportFile(null);
+    setImportMode("merge");
+    setModal("import");
+  };
+
+  const pickImportFile = async (file) => {
+    if (!file) return;
+    const text = await file.text();
+    const parsed = parseBackup(text);
+    setImportFile({ name: file.name, db: parsed.db, errors: parsed.errors, exportedAt: parsed.exportedAt || "" });
+  };
+
+  const applyImport = () => {
+    if (!importPlan) return;
+    const next = importPlan.next;
+    setDb(next);
+    saveDB(next);
+    if (!next.subjects.some((s) => s.id === activeSubjectId)) setActiveSubjectId(next.subjects[0]?.id || "");
+    setImportFile(null);
+    setModal(null);
+    showToast(importMode === "replace" ? "Backup restored ✅" : "Backup merged ✅");
+  };
+
+  // every session in the analytics range (and subject filter), not just the recent list
+  const exportSessionsCsv = () => {
+    const rows = sessionCsvRows(analyticsSessions, db.subjects, { ...analyticsBounds, subjectId: historySubjectId });
+    if (rows.length < 2) return showToast("No sessions in this range");
+    downloadFile(sessionCsvFilename(analyticsBounds), toCsv(rows), "text/csv");
+    showToast(`${rows.length - 1} session(s) exported 📄`);
+  };
+
+  const openBulkImport = () => {
+    setBulkFile(null);
+    setBulkSkipped({});
+    setBulkUpdateExisting(false);
+    setModal("bulkImport");
+  };
+
+  const pickBulkFile = async (file) => {
+    if (!file) return;
+    const text = await file.text();
+    setBulkSkipped({});
+    if (/\.ics$/i.test(file.name) || text.includes("BEGIN:VCALENDAR")) {
+      setBulkFile({ name: file.name, kind: "ics", table: [], rows: icsRows(text) });
+      setBulkMapping(null);
+    } else {
+      const table = parseCsv(text);
+      setBulkFile({ name: file.name, kind: "csv", table, rows: [] });
+      setBulkMapping(guessMapping(table));
+    }
+  };
+
+  // duplicates are only brought in when they update an existing subject
+  const bulkIncluded = (r, i) =>
+    !bulkSkipped[i] && (r.status === "new" || (r.status === "duplicate" && r.match && bulkUpdateExisting));
+
+  const applyBulkImport = () => {
+    const result = applySubjectImport(db.subjects, bulkRows, {
+      today: isoDay(),
+      include: (i) => bulkIncluded(bulkRows[i], i),
+      updateExisting: bulkUpdateExisting,
+      pickColor: randomColor,
+    });
+    if (!result.added && !result.updated) return showToast("Nothing to import");
+
+    const next = { ...db, subjects: result.subjects };
+    setDb(next);
+    saveDB(next);
+    if (!activeSubjectId) setActiveSubjectId(next.subjects[0]?.id || "");
+    setBulkFile(null);
+    setModal(null);
+    showToast(`${result.added} subject(s) added${result.updated ? `, ${result.updated} exam date(s) updated` : ""} ✅`);
+  };
+
   const enableNotifications = async () => {
     if (!canNotify()) return showToast("Notifications not supported here");
     const perm = await Notification.requestPermission();
@@ -846,18 +1969,44 @@ export default function Home() {
   };
 
   const testNotification = () => {
-    if (timerCfg.endSound) playEndSound();
+    playEndSound(timerCfg);
     if (!canNotify()) return showToast("🔔 Sound played (no notification support)");
     if (db.notificationPermission !== "granted") return showToast("🔔 Sound played — allow notifications for popup");
     sendNotification("StudyPace Test", "This is a test reminder 🔔");
     showToast("Test notification sent ✅");
   };
 
+  const saveReminders = (reminders) => {
+    const next = { ...db, reminders };
+    setDb(next);
+    saveDB(next);
+  };
+
+  const updateReminder = (id, patch) => {
+    saveReminders(db.reminders.map((r) => (r.id === id ? { ...r, ...patch } : r)));
+  };
+
+  const toggleReminderDay = (rule, day) => {
+    const weekdays = rule.weekdays.includes(day) ? rule.weekdays.filter((d) => d !== day) : [...rule.weekdays, day].sort();
+    updateReminder(rule.id, { weekdays });
+  };
+
+  const addReminder = (kind) => saveReminders([...db.reminders, newReminder(kind)]);
+
+  const deleteReminder = (id) => saveReminders(db.reminders.filter((r) => r.id !== id));
+
   const selectCalendarDay = (iso) => {
     setSelectedDay(iso);
     setDayNoteDraft((db.calendarNotes?.[iso] || "").slice(0, 250));
   };
 
+  const openCalendarDay = (iso) => {
+    const dt = parseDay(iso);
+    setCalView({ y: dt.getFullYear(), m: dt.getMonth() });
+    selectCalendarDay(iso);
+    setModal("calendar");
+  };
+
   const toggleStudiedForDay = (iso) => {
     const next = { ...db, manualStudied: { ...(db.manualStudied || {}) } };
     next.manualStudied[iso] = !next.manualStudied[iso];
@@ -876,6 +2025,108 @@ export default function Home() {
     showToast(text ? "Note saved 📝" : "Note removed");
   };
 
+  // month mode pages by month; week and day modes move the selected day
+  const stepCalendar = (dir) => {
+    if (calMode === "month") {
+      const d = new Date(calView.y, calView.m + dir, 1);
+      setCalView({ y: d.getFullYear(), m: d.getMonth() });
+      return;
+    }
+    const day = addDays(selectedDay, dir * (calMode === "week" ? 7 : 1));
+    const dt = parseDay(day);
+    setCalView({ y: dt.getFullYear(), m: dt.getMonth() });
+    selectCalendarDay(day);
+  };
+
+  const openSession = (s, backTo = "calendar") => {
+    setEditSessionId(s.id);
+    setSessionForm({
+      subjectId: s.subjectId,
+      topicId: s.topicId || "",
+      day: sessionDay(s),
+      time: sessionTime(s),
+      minutes: Math.round(sessionMinutes(s)),
+      difficulty: s.difficulty || "",
+      note: s.note || "",
+    });
+    setSessionBackTo(backTo);
+    setModal("session");
+  };
+
+  const openLogSession = (day = currentDay, backTo = null) => {
+    const sub = db.subjects.find((s) => s.id === activeSubjectId && !s.archived) || db.subjects.find((s) => !s.archived);
+    setEditSessionId("");
+    setSessionForm({
+      subjectId: sub?.id || "",
+      topicId: sub ? suggestTopic(sub, day)?.id || "" : "",
+      day,
+      time: day === currentDay ? timeOf(now) : "18:00",
+      minutes: timerCfg.pomodoroMin,
+      difficulty: "",
+      note: "",
+    });
+    setSessionBackTo(backTo);
+    setModal("session");
+  };
+
+  // Writes the edited or logged session list, then replays the schedule of every review
+  // item whose graded history changed; stats and streaks follow from the sessions.
+  const commitSessions = (sessions, touched, message) => {
+    const next = {
+      ...db,
+      sessions,
+      subjects: rescheduleItems(db.subjects, sessions, touched, { today: currentDay, cramWindowDays }),
+    };
+    setDb(next);
+    saveDB(next);
+    setModal(sessionBackTo);
+    showToast(message);
+  };
+
+  const itemOf = (s) => ({ subjectId: s.subjectId, topicId: s.topicId || "" });
+
+  const saveSession = () => {
+    const f = sessionForm;
+    if (!f.subjectId || !db.subjects.some((s) => s.id === f.subjectId)) return showToast("Pick a subject");
+    if (!f.day || !/^\d{1,2}:\d{2}$/.test(f.time || "")) return showToast("Pick a date and time");
+    if (!(Number(f.minutes) > 0)) return showToast("Minutes must be more than 0");
+
+    if (!editSession) {
+      const added = manualSession(f);
+      if (Date.parse(added.completedAt) > Date.now()) return showToast("That time hasn’t happened yet");
+      return commitSessions([...db.sessions, added], added.difficulty ? [itemOf(added)] : [], "Session logged ✅");
+    }
+
+    const updated = editedSession(editSession, f);
+    if (Date.parse(updated.completedAt) > Date.now()) return showToast("That time hasn’t happened yet");
+    const touched = scheduleKey(updated) !== scheduleKey(editSession) ? [itemOf(editSession), itemOf(updated)] : [];
+    commitSessions(
+      db.sessions.map((s) => (s.id === editSession.id ? updated : s)),
+      touched,
+      "Session updated ✅"
+    );
+  };
+
+  const deleteSession = () => {
+    commitSessions(
+      db.sessions.filter((s) => s.id !== editSession.id),
+      editSession.difficulty ? [itemOf(editSession)] : [],
+      "Session deleted"
+    );
+  };
+
+  const openHistory = (filters = {}) => {
+    setHistoryFilters({ ...DEFAULT_HISTORY_FILTERS, ...filters });
+    setHistoryPage(0);
+    setModal("history");
+  };
+
+  // any filter change starts again from the first page
+  const updateHistoryFilters = (patch) => {
+    setHistoryFilters((f) => ({ ...f, ...patch }));
+    setHistoryPage(0);
+  };
+
   const jumpToToday = () => {
     const t = new Date();
     setCalView({ y: t.getFullYear(), m: t.getMonth() });
@@ -1005,6 +2256,20 @@ export default function Home() {
         </div>
       </header>
 
+      {storageError ? (
+        <div className="mx-auto mt-4 w-full max-w-5xl px-4 sm:px-6 md:px-8">
+          <div className="flex items-start justify-between gap-4 rounded-2xl border border-red-600 p-4 text-sm">
+            <div>
+              <span className="font-semibold text-red-600">Storage problem: </span>
+              {storageError}
+            </div>
+            <button onClick={() => setStorageError("")} className="font-bold" aria-label="Dismiss">
+              ✕
+            </button>
+          </div>
+        </div>
+      ) : null}
+
       {/* Main */}
       {db.subjects.length === 0 ? (
         <main className="mx-auto flex w-full max-w-5xl flex-col items-center justify-center px-4 py-24 text-center sm:px-6 md:px-8">
@@ -1021,6 +2286,13 @@ export default function Home() {
           >
             Add Your First Subject
           </button>
+
+          <button
+            onClick={openImport}
+            className={cx("mt-4 text-sm underline-offset-4 hover:underline", muted)}
+          >
+            Restore from a backup file
+          </button>
         </main>
       ) : (
         <main className="mx-auto w-full max-w-5xl space-y-5 px-4 py-10 sm:px-6 md:px-8">
@@ -1055,6 +2327,16 @@ export default function Home() {
                 >
                   Test 🔔
                 </button>
+
+                <button
+                  onClick={() => setModal("reminders")}
+                  className={cx(
+                    "h-11 w-full rounded-xl px-6 font-semibold transition hover:scale-[1.02] sm:w-auto",
+                    softBtn
+                  )}
+                >
+                  Reminders
+                </button>
               </div>
             </div>
           </section>
@@ -1102,6 +2384,112 @@ export default function Home() {
               />
               <span className={cx("text-sm", muted)}>(1–10)</span>
             </div>
+
+            <div className="mt-3 flex flex-wrap items-center gap-x-5 gap-y-3 text-sm">
+              <label className="flex items-center gap-2">
+                <span className={muted}>Day ends at</span>
+                <select
+                  value={db.streak?.rolloverHour || 0}
+                  onChange={(e) => saveStreakSettings({ rolloverHour: Number(e.target.value) })}
+                  className={cx("rounded-xl border px-3 py-2 outline-none", inputBase)}
+                >
+                  {Array.from({ length: MAX_ROLLOVER_HOUR + 1 }, (_, h) => (
+                    <option key={h} value={h}>
+                      {h === 0 ? "Midnight" : `${h}:00`}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={db.streak?.freezes !== false}
+                  onChange={(e) => saveStreakSettings({ freezes: e.target.checked })}
+                />
+                <span className={muted}>Streak freezes (earned every {FREEZE_EVERY} days you meet the goal)</span>
+              </label>
+            </div>
+          </section>
+
+          {/* Today's Plan */}
+          <section
+            className={cx(
+              "rounded-2xl border p-6",
+              isDark ? "border-zinc-800 bg-black" : "border-zinc-200 bg-white"
+            )}
+          >
+            <div className="flex items-center justify-between gap-3">
+              <div>
+                <h3 className="text-lg font-semibold">Today’s Plan</h3>
+                <p className={cx("text-sm", muted)}>Ordered by what’s overdue, exams coming up and what you’ve neglected</p>
+              </div>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => setModal("examPlan")}
+                  className={cx("rounded-xl px-4 py-2 text-sm font-semibold transition hover:scale-[1.02]", softBtn)}
+                >
+                  Until exams
+                </button>
+                <button
+                  onClick={rebuildPlan}
+                  className={cx("rounded-xl px-4 py-2 text-sm font-semibold transition hover:scale-[1.02]", softBtn)}
+                >
+                  Rebuild
+                </button>
+              </div>
+            </div>
+
+            {planItems.length === 0 ? (
+              <div className={cx("mt-4 text-sm", muted)}>Nothing to plan — add a subject with an upcoming exam.</div>
+            ) : (
+              <div className="mt-4 space-y-2">
+                {planItems.map((item, idx) => {
+                  const current = currentPlanItem?.id === item.id;
+                  return (
+                    <div
+                      key={item.id}
+                      className={cx(
+                        "flex items-center gap-3 rounded-xl border px-4 py-3",
+                        isDark ? "border-zinc-800" : "border-zinc-200",
+                        current && (isDark ? "ring-2 ring-white" : "ring-2 ring-zinc-950"),
+                        item.done && "opacity-60"
+                      )}
+                    >
+                      <input
+                        type="checkbox"
+                        checked={item.done}
+                        onChange={() => togglePlanItem(item.id)}
+                        className="h-5 w-5"
+                        aria-label="Done"
+                      />
+                      <span className={cx("w-5 text-sm font-semibold", muted)}>{idx + 1}</span>
+                      <span
+                        className="inline-block h-3 w-3 rounded-full"
+                        style={{ background: item.subject?.color || "#2563eb" }}
+                      />
+                      <div className="min-w-0 flex-1">
+                        <div className={cx("truncate font-semibold", item.done && "line-through")}>
+                          {item.subject?.name || "Removed subject"}
+                          {item.topic ? <span className={muted}> · {item.topic.name}</span> : null}
+                        </div>
+                        <div className={cx("text-xs", muted)}>{item.reason}</div>
+                      </div>
+                      {!item.done && item.subject ? (
+                        <button
+                          onClick={() => startPlanItem(item)}
+                          className={cx(
+                            "rounded-xl px-3 py-2 text-sm font-semibold transition hover:scale-[1.02]",
+                            current ? primaryBtn : softBtn
+                          )}
+                        >
+                          Start
+                        </button>
+                      ) : null}
+                    </div>
+                  );
+                })}
+              </div>
+            )}
           </section>
 
           {/* Stats */}
@@ -1115,8 +2503,13 @@ export default function Home() {
               <p className="mt-3 text-4xl font-extrabold">{stats ? stats.dueToday : 0}</p>
             </Card>
             <Card theme={db.theme}>
-              <p className={muted}>Best Streak</p>
-              <p className="mt-3 text-4xl font-extrabold">{stats ? stats.bestStreak : 0}</p>
+              <p className={muted}>Current Streak</p>
+              <p className="mt-3 text-4xl font-extrabold">{stats ? stats.currentStreak : 0}</p>
+              <p className={cx("mt-2 text-sm", muted)}>
+                Longest {stats ? stats.longestStreak : 0}
+                {db.streak?.freezes !== false ? ` · ❄️ ${stats ? stats.freezeTokens : 0}/${MAX_FREEZES} freezes` : ""}
+                {stats && !stats.studiedToday && stats.currentStreak > 0 ? " · study today to keep it" : ""}
+              </p>
             </Card>
           </section>
 
@@ -1174,9 +2567,10 @@ export default function Home() {
             </div>
 
             <div className="grid grid-cols-1 gap-4 lg:grid-cols-2">
-              {db.subjects.slice(0, 6).map((sub) => {
+              {dashboardSubjects.map((sub) => {
                 const today = isoDay();
-                const due = (sub.nextReviewDate || today) <= today;
+                const dueN = dueCount(sub, today);
+                const info = subjectStatsById[sub.id];
 
                 return (
                   <Card key={sub.id} theme={db.theme}>
@@ -1185,20 +2579,40 @@ export default function Home() {
                         <div className="flex items-center gap-2">
                           <span className="inline-block h-3 w-3 rounded-full" style={{ background: sub.color || "#2563eb" }} />
                           <div className="text-lg font-bold">{sub.name}</div>
-                          {due ? (
+                          {dueN ? (
                             <span className="ml-2 rounded-full bg-red-600 px-2 py-0.5 text-xs font-bold text-white">
-                              DUE
+                              {hasTopics(sub) ? `${dueN} DUE` : "DUE"}
+                            </span>
+                          ) : null}
+                          {sub.archived ? (
+                            <span className={cx("ml-2 rounded-full px-2 py-0.5 text-xs font-bold", softBtn)}>
+                              ARCHIVED
                             </span>
                           ) : null}
                         </div>
 
-                        <div className={cx("mt-1", muted)}>Exam: {sub.examDate}</div>
+                        <div className={cx("mt-1", muted)}>
+                          Exam: {sub.examDate} · <span className="font-semibold">{countdownLabel(info?.daysLeft)}</span>
+                        </div>
                         <div className={cx("mt-1 text-sm", muted)}>
                           Next Review: <span className="font-semibold">{sub.nextReviewDate || today}</span>
                         </div>
                         <div className={cx("mt-1 text-xs", muted)}>
-                          Interval: <span className="font-semibold">{sub.intervalDays || 1} day(s)</span>
+                          {hasTopics(sub) ? (
+                            <>
+                              Topics: <span className="font-semibold">{sub.topics.length}</span>
+                            </>
+                          ) : (
+                            <>
+                              Interval: <span className="font-semibold">{sub.intervalDays || 1} day(s)</span>
+                            </>
+                          )}
                         </div>
+                        {!sub.archived && info ? (
+                          <div className="mt-3 w-44">
+                            <ReadinessBar score={info.readiness} theme={db.theme} />
+                          </div>
+                        ) : null}
                       </div>
 
                       <div className="flex flex-col gap-2">
@@ -1228,7 +2642,25 @@ export default function Home() {
             </div>
           </section>
 
-          <div className="pt-2">
+          <div className="flex flex-wrap gap-4 pt-2">
+            <button
+              onClick={exportData}
+              className={cx("text-sm underline-offset-4 hover:underline", muted)}
+            >
+              Export data
+            </button>
+            <button
+              onClick={() => setModal("ics")}
+              className={cx("text-sm underline-offset-4 hover:underline", muted)}
+            >
+              Export calendar (.ics)
+            </button>
+            <button
+              onClick={openImport}
+              className={cx("text-sm underline-offset-4 hover:underline", muted)}
+            >
+              Import data
+            </button>
             <button
               onClick={resetAllData}
               className={cx("text-sm underline-offset-4 hover:underline", muted)}
@@ -1323,19 +2755,197 @@ export default function Home() {
                 onChange={(e) => setExamDate(e.target.value)}
               />
             </div>
+            <div>
+              <div className="font-semibold">Topics (optional)</div>
+              <textarea
+                className={cx("mt-2 w-full rounded-xl border px-4 py-3 outline-none", inputBase)}
+                rows={3}
+                placeholder={"One chapter per line, e.g.\nCell structure\nGenetics"}
+                value={subjectTopics}
+                onChange={(e) => setSubjectTopics(e.target.value)}
+              />
+              <p className={cx("mt-1 text-xs", muted)}>Each topic gets its own review schedule.</p>
+            </div>
             <button
               onClick={submitSubject}
               className={cx("h-12 w-full rounded-xl font-semibold transition hover:scale-[1.01]", primaryBtn)}
             >
               Start Tracking
             </button>
-          </div>
+            <button
+              onClick={openBulkImport}
+              className={cx("w-full text-center text-sm underline-offset-4 hover:underline", muted)}
+            >
+              Import many from a timetable (.csv / .ics)…
+            </button>
+          </div>
+        </Modal>
+      ) : null}
+
+      {modal === "bulkImport" ? (
+        <Modal title="Import Subjects" onClose={() => setModal(null)} theme={db.theme} wide>
+          <div className="space-y-4">
+            <div className={cx("rounded-2xl border p-5", subtleCard)}>
+              <div className="font-semibold">Timetable file</div>
+              <p className={cx("mt-1 text-sm", muted)}>
+                A CSV with columns name, examDate and optionally color and topics (separated by “;”), or an .ics calendar
+                where each event is an exam.
+              </p>
+              <input
+                ref={bulkInputRef}
+                type="file"
+                accept=".csv,text/csv,.ics,text/calendar"
+                className="hidden"
+                onChange={(e) => {
+                  pickBulkFile(e.target.files?.[0]);
+                  e.target.value = "";
+                }}
+              />
+              <button
+                onClick={() => bulkInputRef.current?.click()}
+                className={cx("mt-3 h-11 w-full rounded-xl font-semibold transition hover:scale-[1.01]", softBtn)}
+              >
+                {bulkFile ? `📄 ${bulkFile.name}` : "Choose file…"}
+              </button>
+            </div>
+
+            {bulkFile?.kind === "csv" && bulkMapping ? (
+              <div className={cx("rounded-2xl border p-5", isDark ? "border-zinc-800" : "border-zinc-200")}>
+                <div className="font-semibold">Columns</div>
+                <div className="mt-3 grid grid-cols-2 gap-3 sm:grid-cols-4">
+                  {Object.entries(IMPORT_FIELDS).map(([field, label]) => (
+                    <label key={field} className="text-sm">
+                      <div className={muted}>{label}</div>
+                      <select
+                        value={bulkMapping.mapping[field]}
+                        onChange={(e) =>
+                          setBulkMapping({ ...bulkMapping, mapping: { ...bulkMapping.mapping, [field]: Number(e.target.value) } })
+                        }
+                        className={cx("mt-1 w-full rounded-xl border px-3 py-2 outline-none", inputBase)}
+                      >
+                        <option value={-1}>—</option>
+                        {(bulkFile.table[0] || []).map((h, i) => (
+                          <option key={i} value={i}>
+                            {bulkMapping.hasHeader && h.trim() ? h.trim() : `Column ${i + 1}`}
+                          </option>
+                        ))}
+                      </select>
+                    </label>
+                  ))}
+                </div>
+                <label className="mt-3 flex items-center gap-3 text-sm">
+                  <input
+                    type="checkbox"
+                    checked={bulkMapping.hasHeader}
+                    onChange={(e) => {
+                      setBulkMapping({ ...bulkMapping, hasHeader: e.target.checked });
+                      setBulkSkipped({});
+                    }}
+                  />
+                  First row is a header
+                </label>
+              </div>
+            ) : null}
+
+            {bulkFile && !bulkRows.length ? <div className={cx("text-sm", muted)}>No rows found in this file.</div> : null}
+
+            {bulkRows.length ? (
+              <>
+                {bulkRows.some((r) => r.match) ? (
+                  <label className="flex items-center gap-3 text-sm">
+                    <input
+                      type="checkbox"
+                      checked={bulkUpdateExisting}
+                      onChange={(e) => setBulkUpdateExisting(e.target.checked)}
+                    />
+                    Update the exam date of subjects that already exist (otherwise they’re skipped)
+                  </label>
+                ) : null}
+
+                <div className={cx("overflow-x-auto rounded-2xl border", isDark ? "border-zinc-800" : "border-zinc-200")}>
+                  <table className="w-full text-left text-sm">
+                    <thead className={muted}>
+                      <tr>
+                        <th className="p-3" />
+                        <th className="p-3 font-semibold">Name</th>
+                        <th className="p-3 font-semibold">Exam date</th>
+                        <th className="p-3 font-semibold">Topics</th>
+                        <th className="p-3 font-semibold">Status</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {bulkRows.map((r, i) => {
+                        const importable = r.status === "new" || (r.match && bulkUpdateExisting);
+                        return (
+                          <tr
+                            key={i}
+                            className={cx("border-t", isDark ? "border-zinc-800" : "border-zinc-200", !bulkIncluded(r, i) && "opacity-50")}
+                          >
+                            <td className="p-3">
+                              <input
+                                type="checkbox"
+                                disabled={!importable}
+                                checked={bulkIncluded(r, i)}
+                                onChange={(e) => setBulkSkipped((x) => ({ ...x, [i]: !e.target.checked }))}
+                              />
+                            </td>
+                            <td className="p-3">
+                              <div className="flex items-center gap-2">
+                                {r.color ? <span className="h-3 w-3 rounded-full" style={{ background: r.color }} /> : null}
+                                <span className="font-semibold">{r.name || "—"}</span>
+                              </div>
+                            </td>
+                            <td className="p-3">{r.examDate || "—"}</td>
+                            <td className={cx("p-3", muted)}>{r.topics.length ? r.topics.join(", ") : "—"}</td>
+                            <td className="p-3">
+                              {r.status === "new" ? (
+                                <span className="text-green-600">New</span>
+                              ) : (
+                                <span className={r.status === "invalid" ? "text-red-600" : muted}>{r.issue}</span>
+                              )}
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+
+                <button
+                  onClick={applyBulkImport}
+                  className={cx("h-12 w-full rounded-xl font-semibold transition hover:scale-[1.01]", primaryBtn)}
+                >
+                  Import {bulkRows.filter(bulkIncluded).length} subject(s)
+                </button>
+              </>
+            ) : null}
+          </div>
         </Modal>
       ) : null}
 
       {modal === "subjects" ? (
         <Modal title="Manage Subjects" onClose={() => setModal(null)} theme={db.theme} wide>
           <div className="space-y-3">
+            <div className={cx("flex flex-col gap-3 rounded-2xl border p-5 sm:flex-row sm:items-center sm:justify-between", subtleCard)}>
+              <div>
+                <div className="font-semibold">Cram window</div>
+                <div className={cx("text-sm", muted)}>Reviews get closer together this many days before an exam</div>
+              </div>
+              <div className="flex items-center gap-2">
+                <input
+                  type="number"
+                  min={0}
+                  max={30}
+                  value={cramWindowDays}
+                  onChange={(e) =>
+                    saveSchedulingSettings({ cramWindowDays: Math.max(0, Math.min(30, Number(e.target.value || 0))) })
+                  }
+                  className={cx("w-24 rounded-xl border px-3 py-2 outline-none", inputBase)}
+                />
+                <span className={cx("text-sm", muted)}>days</span>
+              </div>
+            </div>
+
             {db.subjects.length === 0 ? (
               <div className={muted}>No subjects yet.</div>
             ) : (
@@ -1351,8 +2961,13 @@ export default function Home() {
                     <div className="flex items-center gap-2">
                       <span className="inline-block h-3 w-3 rounded-full" style={{ background: sub.color || "#2563eb" }} />
                       <div className="text-lg font-bold">{sub.name}</div>
+                      {sub.archived ? (
+                        <span className={cx("rounded-full px-2 py-0.5 text-xs font-bold", softBtn)}>ARCHIVED</span>
+                      ) : null}
+                    </div>
+                    <div className={muted}>
+                      Exam: {sub.examDate} · {countdownLabel(subjectStatsById[sub.id]?.daysLeft)}
                     </div>
-                    <div className={muted}>Exam: {sub.examDate}</div>
                     <div className={cx("text-sm", muted)}>Next Review: {sub.nextReviewDate || isoDay()}</div>
                   </div>
 
@@ -1414,17 +3029,82 @@ export default function Home() {
               />
             </div>
 
+            {editTopics.length === 0 ? (
+              <div>
+                <div className="font-semibold">Next Review Date</div>
+                <input
+                  type="date"
+                  className={cx("mt-2 w-full rounded-xl border px-4 py-3 outline-none", inputBase)}
+                  value={editNextReviewDate}
+                  onChange={(e) => setEditNextReviewDate(e.target.value)}
+                />
+                <p className={cx("mt-2 text-sm", muted)}>
+                  Tip: Updates automatically after Pomodoro feedback.
+                </p>
+              </div>
+            ) : null}
+
             <div>
-              <div className="font-semibold">Next Review Date</div>
-              <input
-                type="date"
-                className={cx("mt-2 w-full rounded-xl border px-4 py-3 outline-none", inputBase)}
-                value={editNextReviewDate}
-                onChange={(e) => setEditNextReviewDate(e.target.value)}
-              />
-              <p className={cx("mt-2 text-sm", muted)}>
-                Tip: Updates automatically after Pomodoro feedback.
+              <div className="font-semibold">Topics</div>
+              <p className={cx("mt-1 text-sm", muted)}>
+                {editTopics.length
+                  ? "Each topic keeps its own review date; the subject is due when any topic is."
+                  : "Split this subject into chapters to schedule them separately."}
               </p>
+
+              <div className="mt-2 space-y-2">
+                {editTopics.map((t, idx) => (
+                  <div key={t.id} className="flex items-center gap-2">
+                    <input
+                      className={cx("min-w-0 flex-1 rounded-xl border px-3 py-2 outline-none", inputBase)}
+                      value={t.name}
+                      onChange={(e) =>
+                        setEditTopics((list) => list.map((x) => (x.id === t.id ? { ...x, name: e.target.value } : x)))
+                      }
+                    />
+                    <span className={cx("hidden text-xs sm:inline", muted)}>{t.nextReviewDate}</span>
+                    <button
+                      onClick={() => moveEditTopic(idx, -1)}
+                      className={cx("h-9 w-9 rounded-lg font-bold", softBtn)}
+                      aria-label="Move up"
+                    >
+                      ↑
+                    </button>
+                    <button
+                      onClick={() => moveEditTopic(idx, 1)}
+                      className={cx("h-9 w-9 rounded-lg font-bold", softBtn)}
+                      aria-label="Move down"
+                    >
+                      ↓
+                    </button>
+                    <button
+                      onClick={() => setEditTopics((list) => list.filter((x) => x.id !== t.id))}
+                      className="h-9 w-9 rounded-lg bg-red-600 font-bold text-white"
+                      aria-label="Remove topic"
+                    >
+                      ✕
+                    </button>
+                  </div>
+                ))}
+              </div>
+
+              <div className="mt-2 flex gap-2">
+                <input
+                  className={cx("min-w-0 flex-1 rounded-xl border px-3 py-2 outline-none", inputBase)}
+                  placeholder="New topic"
+                  value={newTopicName}
+                  onChange={(e) => setNewTopicName(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === "Enter") addEditTopic();
+                  }}
+                />
+                <button
+                  onClick={addEditTopic}
+                  className={cx("rounded-xl px-4 py-2 font-semibold transition hover:scale-[1.02]", softBtn)}
+                >
+                  + Add
+                </button>
+              </div>
             </div>
 
             <div>
@@ -1463,7 +3143,7 @@ export default function Home() {
         <Modal
           title="Study Timer"
           onClose={() => {
-            setRunning(false);
+            pauseTimer("Closed timer");
             setModal(null);
           }}
           theme={db.theme}
@@ -1478,7 +3158,7 @@ export default function Home() {
                   <select
                     className={cx("mt-2 w-full rounded-xl border px-4 py-3 outline-none", inputBase)}
                     value={activeSubjectId || ""}
-                    onChange={(e) => setActiveSubjectId(e.target.value)}
+                    onChange={(e) => selectSubject(e.target.value)}
                   >
                     {db.subjects.map((s) => (
                       <option key={s.id} value={s.id}>
@@ -1487,10 +3167,38 @@ export default function Home() {
                     ))}
                   </select>
 
-                  {nextDueSubject ? (
+                  {activeSubject && hasTopics(activeSubject) ? (
+                    <select
+                      className={cx("mt-2 w-full rounded-xl border px-4 py-3 outline-none", inputBase)}
+                      value={activeTopicId}
+                      onChange={(e) => setActiveTopicId(e.target.value)}
+                    >
+                      <option value="">Whole subject</option>
+                      {activeSubject.topics.map((t) => (
+                        <option key={t.id} value={t.id}>
+                          {t.name}
+                          {(t.nextReviewDate || isoDay()) <= isoDay() ? " · due" : ""}
+                        </option>
+                      ))}
+                    </select>
+                  ) : null}
+
+                  {currentPlanItem ? (
+                    <button
+                      onClick={() => {
+                        setActiveSubjectId(currentPlanItem.subjectId);
+                        setActiveTopicId(currentPlanItem.topicId || "");
+                      }}
+                      className={cx("mt-3 w-full rounded-xl px-4 py-2 font-semibold transition hover:scale-[1.01]", softBtn)}
+                      title="Follow today’s plan"
+                    >
+                      🧭 Next in plan: {currentPlanItem.subject.name}
+                      {currentPlanItem.topic ? ` · ${currentPlanItem.topic.name}` : ""}
+                    </button>
+                  ) : nextDueSubject ? (
                     <button
                       onClick={() => {
-                        setActiveSubjectId(nextDueSubject.id);
+                        selectSubject(nextDueSubject.id);
                         showToast(`Selected due subject: ${nextDueSubject.name}`);
                       }}
                       className={cx("mt-3 w-full rounded-xl px-4 py-2 font-semibold transition hover:scale-[1.01]", softBtn)}
@@ -1516,6 +3224,7 @@ export default function Home() {
                   ["pomodoro", `Pomodoro (${timerCfg.pomodoroMin}m)`],
                   ["short", `Short (${timerCfg.shortMin}m)`],
                   ["long", `Long (${timerCfg.longMin}m)`],
+                  ["flow", "Flow (count up)"],
                 ].map(([m, label]) => (
                   <button
                     key={m}
@@ -1528,8 +3237,37 @@ export default function Home() {
                     {label}
                   </button>
                 ))}
+                {mode === "flowBreak" ? (
+                  <span className={cx("rounded-xl px-4 py-2 font-semibold", primaryBtn)}>
+                    Flow break ({Math.round(flowBreakSec / 60)}m)
+                  </span>
+                ) : null}
               </div>
 
+              {timerCfg.presets.length ? (
+                <div className="mt-3 flex flex-wrap items-center gap-2">
+                  <span className={cx("text-sm", muted)}>Preset</span>
+                  <select
+                    value={timerCfg.presetId}
+                    onChange={(e) => applyPreset(e.target.value)}
+                    className={cx("rounded-xl border px-3 py-2 text-sm outline-none", inputBase)}
+                  >
+                    {timerCfg.presetId ? null : <option value="">Custom</option>}
+                    {timerCfg.presets.map((p) => (
+                      <option key={p.id} value={p.id}>
+                        {p.name}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              ) : null}
+
+              {isMirror ? (
+                <div className={cx("mt-3 rounded-xl border px-3 py-2 text-sm", subtleCard)}>
+                  Running in another tab — the buttons here control it there.
+                </div>
+              ) : null}
+
               {/* Progress ring */}
               <div className="mt-8 grid place-items-center">
                 <div className="relative grid h-52 w-52 place-items-center rounded-full p-2" style={ringStyle}>
@@ -1543,7 +3281,7 @@ export default function Home() {
               {/* Controls */}
               <div className="mt-7 grid grid-cols-2 gap-3 sm:grid-cols-4">
                 <button
-                  onClick={() => setRunning((r) => !r)}
+                  onClick={toggleRunning}
                   className={cx("h-12 rounded-xl font-semibold transition hover:scale-[1.02] col-span-2 sm:col-span-2", primaryBtn)}
                 >
                   {running ? "Pause" : "Start"}
@@ -1554,15 +3292,48 @@ export default function Home() {
                 >
                   Reset
                 </button>
-                <button
-                  onClick={skipTimer}
-                  className={cx("h-12 rounded-xl font-semibold transition hover:scale-[1.02]", softBtn)}
-                >
-                  Skip ⏭️
-                </button>
+                {mode === "flow" ? (
+                  <button
+                    onClick={finishFlow}
+                    className={cx("h-12 rounded-xl font-semibold transition hover:scale-[1.02]", softBtn)}
+                  >
+                    Finish ✓
+                  </button>
+                ) : (
+                  <button
+                    onClick={skipTimer}
+                    className={cx("h-12 rounded-xl font-semibold transition hover:scale-[1.02]", softBtn)}
+                  >
+                    Skip ⏭️
+                  </button>
+                )}
               </div>
 
-              <div className="mt-3 grid grid-cols-2 gap-3">
+              {mode === "pomodoro" && clock.startedAt ? (
+                <div className={cx("mt-3 text-center text-sm", muted)}>
+                  {Math.floor(focusedSeconds(totalSecondsForMode, clock, seconds) / 60)} min focused
+                  {clock.interruptions.length ? ` · paused ${clock.interruptions.length}×` : ""}
+                </div>
+              ) : null}
+
+              {!running && (mode === "pomodoro" || mode === "flow") && clock.interruptions.length && !clock.interruptions.at(-1).reason ? (
+                <div className={cx("mt-3 rounded-xl border p-3", subtleCard)}>
+                  <div className="text-sm font-semibold">What interrupted you?</div>
+                  <div className="mt-2 flex flex-wrap gap-2">
+                    {PAUSE_REASONS.map((r) => (
+                      <button
+                        key={r}
+                        onClick={() => tagInterruption(r)}
+                        className={cx("rounded-lg px-3 py-1 text-sm font-semibold transition hover:scale-[1.02]", softBtn)}
+                      >
+                        {r}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              ) : null}
+
+              <div className={cx("mt-3 grid grid-cols-2 gap-3", mode === "flow" && "hidden")}>
                 <button
                   onClick={() => addTime(1)}
                   className={cx("h-11 rounded-xl font-semibold transition hover:scale-[1.02]", softBtn)}
@@ -1596,6 +3367,49 @@ export default function Home() {
               <div className="text-xl font-bold">Timer Settings</div>
               <p className={cx("mt-1", muted)}>Customize durations and auto-flow.</p>
 
+              <div className="mt-5">
+                <div className="font-semibold">Presets</div>
+                <div className="mt-2 flex flex-wrap gap-2">
+                  {timerCfg.presets.map((p) => (
+                    <div key={p.id} className="flex items-center">
+                      <button
+                        onClick={() => applyPreset(p.id)}
+                        className={cx(
+                          "rounded-l-xl px-3 py-2 text-sm font-semibold transition hover:scale-[1.02]",
+                          timerCfg.presetId === p.id ? primaryBtn : softBtn
+                        )}
+                      >
+                        {p.name}
+                      </button>
+                      <button
+                        onClick={() => deletePreset(p.id)}
+                        className={cx("rounded-r-xl px-2 py-2 text-sm font-semibold", softBtn)}
+                        aria-label={`Delete ${p.name}`}
+                      >
+                        ✕
+                      </button>
+                    </div>
+                  ))}
+                </div>
+                <div className="mt-2 flex gap-2">
+                  <input
+                    className={cx("min-w-0 flex-1 rounded-xl border px-3 py-2 outline-none", inputBase)}
+                    placeholder="Save current durations as…"
+                    value={presetName}
+                    onChange={(e) => setPresetName(e.target.value)}
+                    onKeyDown={(e) => {
+                      if (e.key === "Enter") savePreset();
+                    }}
+                  />
+                  <button
+                    onClick={savePreset}
+                    className={cx("rounded-xl px-4 py-2 font-semibold transition hover:scale-[1.02]", softBtn)}
+                  >
+                    Save
+                  </button>
+                </div>
+              </div>
+
               <div className="mt-5 grid grid-cols-1 gap-4 sm:grid-cols-2">
                 <div>
                   <div className="font-semibold">Pomodoro (min)</div>
@@ -1604,7 +3418,7 @@ export default function Home() {
                     min={5}
                     max={90}
                     value={timerCfg.pomodoroMin}
-                    onChange={(e) => saveTimerSettings({ pomodoroMin: Number(e.target.value || 25) })}
+                    onChange={(e) => saveTimerSettings({ pomodoroMin: Number(e.target.value || 25), presetId: "" })}
                     className={cx("mt-2 w-full rounded-xl border px-4 py-3 outline-none", inputBase)}
                   />
                 </div>
@@ -1615,7 +3429,7 @@ export default function Home() {
                     min={1}
                     max={30}
                     value={timerCfg.shortMin}
-                    onChange={(e) => saveTimerSettings({ shortMin: Number(e.target.value || 5) })}
+                    onChange={(e) => saveTimerSettings({ shortMin: Number(e.target.value || 5), presetId: "" })}
                     className={cx("mt-2 w-full rounded-xl border px-4 py-3 outline-none", inputBase)}
                   />
                 </div>
@@ -1626,7 +3440,7 @@ export default function Home() {
                     min={5}
                     max={60}
                     value={timerCfg.longMin}
-                    onChange={(e) => saveTimerSettings({ longMin: Number(e.target.value || 15) })}
+                    onChange={(e) => saveTimerSettings({ longMin: Number(e.target.value || 15), presetId: "" })}
                     className={cx("mt-2 w-full rounded-xl border px-4 py-3 outline-none", inputBase)}
                   />
                 </div>
@@ -1684,9 +3498,83 @@ export default function Home() {
                   />
                 </label>
 
+                <div className={cx("rounded-xl border p-4", isDark ? "border-zinc-800" : "border-zinc-200")}>
+                  <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+                    <label>
+                      <div className="font-semibold">Chime</div>
+                      <select
+                        value={timerCfg.chime}
+                        onChange={(e) => {
+                          saveTimerSettings({ chime: e.target.value });
+                          playChime(e.target.value, timerCfg.volume);
+                        }}
+                        className={cx("mt-2 w-full rounded-xl border px-4 py-3 outline-none", inputBase)}
+                      >
+                        {Object.entries(CHIMES).map(([id, label]) => (
+                          <option key={id} value={id}>
+                            {label}
+                          </option>
+                        ))}
+                      </select>
+                    </label>
+                    <label>
+                      <div className="font-semibold">Volume</div>
+                      <input
+                        type="range"
+                        min={0}
+                        max={1}
+                        step={0.05}
+                        value={timerCfg.volume}
+                        onChange={(e) => saveTimerSettings({ volume: Number(e.target.value) })}
+                        className="mt-4 w-full"
+                      />
+                    </label>
+                    <label>
+                      <div className="font-semibold">Focus background</div>
+                      <select
+                        value={timerCfg.ambient}
+                        onChange={(e) => saveTimerSettings({ ambient: e.target.value })}
+                        className={cx("mt-2 w-full rounded-xl border px-4 py-3 outline-none", inputBase)}
+                      >
+                        {Object.entries(AMBIENTS).map(([id, label]) => (
+                          <option key={id} value={id}>
+                            {label}
+                          </option>
+                        ))}
+                      </select>
+                      <div className={cx("mt-1 text-xs", muted)}>Plays only while a Pomodoro is running</div>
+                    </label>
+                    <label>
+                      <div className="font-semibold">Background volume</div>
+                      <input
+                        type="range"
+                        min={0}
+                        max={1}
+                        step={0.05}
+                        value={timerCfg.ambientVolume}
+                        onChange={(e) => saveTimerSettings({ ambientVolume: Number(e.target.value) })}
+                        className="mt-4 w-full"
+                      />
+                    </label>
+                  </div>
+                </div>
+
+                <label className={cx("flex items-center justify-between rounded-xl border p-4", isDark ? "border-zinc-800" : "border-zinc-200")}>
+                  <div>
+                    <div className="font-semibold">Break cues</div>
+                    <div className={cx("text-sm", muted)}>Short sounds when a break starts and ends</div>
+                  </div>
+                  <input
+                    type="checkbox"
+                    checked={timerCfg.breakCues}
+                    onChange={(e) => saveTimerSettings({ breakCues: e.target.checked })}
+                    className="h-5 w-5"
+                  />
+                </label>
+
                 <button
                   onClick={() => {
-                    if (timerCfg.endSound) playEndSound();
+                    playChime(timerCfg.chime, timerCfg.volume);
                     showToast("Sound test ✅");
                   }}
                   className={cx("h-11 w-full rounded-xl font-semibold transition hover:scale-[1.01]", softBtn)}
@@ -1715,9 +3603,12 @@ export default function Home() {
         <Modal title="Review Feedback" onClose={() => setModal(null)} theme={db.theme}>
           <div className="text-center">
             <p className={muted}>How difficult was this review?</p>
-            <h3 className="mt-4 text-2xl font-bold">{activeSubject?.name || "Your subject"}</h3>
+            <h3 className="mt-4 text-2xl font-bold">{reviewSubject?.name || "Your subject"}</h3>
+            {reviewTopic ? <div className={cx("mt-1 font-semibold", muted)}>{reviewTopic.name}</div> : null}
             <p className={cx("mt-2 text-sm", muted)}>
-              Current interval: <span className="font-semibold">{activeSubject?.intervalDays || 1} day(s)</span>
+              Current interval:{" "}
+              <span className="font-semibold">{(reviewTopic || reviewSubject)?.intervalDays || 1} day(s)</span>
+              {" · "}Ease: <span className="font-semibold">{((reviewTopic || reviewSubject)?.ease || 2.5).toFixed(2)}</span>
             </p>
 
             <div className="mt-6 text-left">
@@ -1727,25 +3618,22 @@ export default function Home() {
               </div>
             </div>
 
-            <div className="mt-8 space-y-4">
-              <button
-                onClick={() => applyDifficulty("easy")}
-                className="h-14 w-full rounded-xl bg-green-600 text-lg font-bold text-white transition hover:scale-[1.01]"
-              >
-                Easy (interval grows)
-              </button>
-              <button
-                onClick={() => applyDifficulty("medium")}
-                className="h-14 w-full rounded-xl bg-amber-600 text-lg font-bold text-white transition hover:scale-[1.01]"
-              >
-                Medium (steady)
-              </button>
-              <button
-                onClick={() => applyDifficulty("hard")}
-                className="h-14 w-full rounded-xl bg-red-600 text-lg font-bold text-white transition hover:scale-[1.01]"
-              >
-                Hard (reset interval)
-              </button>
+            <div className="mt-8 grid grid-cols-2 gap-3">
+              {GRADES.map((g) => (
+                <button
+                  key={g}
+                  onClick={() => applyDifficulty(g)}
+                  className={cx(
+                    "h-16 w-full rounded-xl text-lg font-bold text-white transition hover:scale-[1.01]",
+                    GRADE_STYLE[g]
+                  )}
+                >
+                  <div className="capitalize">{g}</div>
+                  <div className="text-xs font-semibold opacity-90">
+                    next in {gradePreview[g]?.intervalDays || 1}d
+                  </div>
+                </button>
+              ))}
             </div>
 
             <div className={cx("mt-6 text-sm", muted)}>
@@ -1762,80 +3650,223 @@ export default function Home() {
             <div className="flex-1">
               <div className="flex items-center justify-between gap-3">
                 <button
-                  onClick={() => {
-                    const d = new Date(calView.y, calView.m - 1, 1);
-                    setCalView({ y: d.getFullYear(), m: d.getMonth() });
-                  }}
+                  onClick={() => stepCalendar(-1)}
                   className={cx("rounded-xl px-4 py-2 font-semibold transition hover:scale-[1.02]", softBtn)}
                 >
                   ← Previous
                 </button>
 
-                <div className="text-xl font-bold">{monthTitle}</div>
+                <div className="text-center text-xl font-bold">{calMode === "month" ? monthTitle : timelineTitle}</div>
 
                 <button
-                  onClick={() => {
-                    const d = new Date(calView.y, calView.m + 1, 1);
-                    setCalView({ y: d.getFullYear(), m: d.getMonth() });
-                  }}
+                  onClick={() => stepCalendar(1)}
                   className={cx("rounded-xl px-4 py-2 font-semibold transition hover:scale-[1.02]", softBtn)}
                 >
                   Next →
                 </button>
               </div>
 
-              <div className="mt-4 flex items-center justify-between gap-3">
-                <button
-                  onClick={jumpToToday}
-                  className={cx("rounded-xl px-4 py-2 font-semibold transition hover:scale-[1.02]", softBtn)}
-                >
-                  Today
-                </button>
-                <div className={cx("text-sm", muted)}>Click a day to add notes / mark studied</div>
+              <div className="mt-4 flex flex-wrap items-center justify-between gap-3">
+                <div className="flex gap-2">
+                  <button
+                    onClick={jumpToToday}
+                    className={cx("rounded-xl px-4 py-2 font-semibold transition hover:scale-[1.02]", softBtn)}
+                  >
+                    Today
+                  </button>
+                  {[
+                    ["month", "Month"],
+                    ["week", "Week"],
+                    ["day", "Day"],
+                  ].map(([k, label]) => (
+                    <button
+                      key={k}
+                      onClick={() => setCalMode(k)}
+                      className={cx("rounded-xl px-3 py-2 text-sm font-semibold", calMode === k ? primaryBtn : softBtn)}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+                <div className={cx("text-sm", muted)}>
+                  {calMode === "month" ? "Click a day to add notes / mark studied" : "Click a session to open it"}
+                </div>
               </div>
 
-              <div className={cx("mt-5 grid grid-cols-7 gap-2 text-center sm:gap-3", muted)}>
-                {["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].map((d) => (
-                  <div key={d} className="font-semibold">
-                    {d}
+              {calMode !== "month" ? (
+                <div className="mt-5">
+                  <div className="flex">
+                    <div className="w-10 shrink-0" />
+                    {timelineDays.map((day) => {
+                      const agenda = dayAgenda(db, day, examPlan.days, reviewDays);
+                      return (
+                        <div
+                          key={day}
+                          className={cx("min-w-0 flex-1 border-l px-1 pb-2", isDark ? "border-zinc-800" : "border-zinc-200")}
+                        >
+                          <button
+                            onClick={() => {
+                              selectCalendarDay(day);
+                              if (calMode === "week") setCalMode("day");
+                            }}
+                            className={cx(
+                              "w-full rounded-lg px-1 py-1 text-center text-sm font-semibold",
+                              day === selectedDay && (isDark ? "ring-2 ring-blue-500" : "ring-2 ring-blue-600")
+                            )}
+                          >
+                            <div className={cx("text-xs", muted)}>{parseDay(day).toLocaleString(undefined, { weekday: "short" })}</div>
+                            {parseDay(day).getDate()}
+                          </button>
+                          <div className="mt-1 space-y-1 text-[10px] font-semibold leading-tight">
+                            {agenda.exams.map((s) => (
+                              <div key={s.id} className="truncate rounded border-2 border-red-600 px-1" title={`${s.name} exam`}>
+                                🎓 {s.name}
+                              </div>
+                            ))}
+                            {agenda.reviews.map((r) => (
+                              <div
+                                key={`${r.subject.id}-${r.topic?.id || ""}`}
+                                className={cx("truncate rounded border px-1", r.projected && "border-dashed opacity-70")}
+                                style={{ borderColor: r.subject.color || "#2563eb" }}
+                                title={`${r.projected ? "Projected review" : "Review"} ${r.subject.name}${r.topic ? ` · ${r.topic.name}` : ""}`}
+                              >
+                                🔁 {r.topic ? r.topic.name : r.subject.name}
+                              </div>
+                            ))}
+                            {agenda.planned.map((b) => {
+                              const sub = db.subjects.find((x) => x.id === b.subjectId);
+                              return (
+                                <div
+                                  key={b.subjectId}
+                                  className="truncate rounded px-1 text-white"
+                                  style={{ background: sub?.color || "#2563eb" }}
+                                  title="Planned Pomodoros"
+                                >
+                                  {sub?.name} × {b.count}
+                                </div>
+                              );
+                            })}
+                            {agenda.note ? (
+                              <div className={cx("truncate", muted)} title={agenda.note}>
+                                📝 {agenda.note}
+                              </div>
+                            ) : null}
+                          </div>
+                        </div>
+                      );
+                    })}
+                  </div>
+                  <div
+                    ref={timelineRef}
+                    className={cx("max-h-[480px] overflow-y-auto rounded-xl border", isDark ? "border-zinc-800" : "border-zinc-200")}
+                  >
+                    <Timeline
+                      days={timelineDays}
+                      sessionsOnDay={(day) => sessionsOn(sessionIndex, day)}
+                      subjects={db.subjects}
+                      onPick={openSession}
+                      theme={db.theme}
+                    />
+                  </div>
+                </div>
+              ) : null}
+
+              {calMode === "month" ? (
+                <>
+                  <div className={cx("mt-5 grid grid-cols-7 gap-2 text-center sm:gap-3", muted)}>
+                    {["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].map((d) => (
+                      <div key={d} className="font-semibold">
+                        {d}
+                      </div>
+                    ))}
                   </div>
-                ))}
-              </div>
 
-              <div className="mt-3 grid grid-cols-7 gap-2 sm:gap-3">
-                {calendarCells.map((c) => {
-                  const has = studiedDays.has(c.iso);
-                  const selected = selectedDay === c.iso;
-                  const note = (db.calendarNotes?.[c.iso] || "").trim();
+                  <div className="mt-3 grid grid-cols-7 gap-2 sm:gap-3">
+                    {calendarCells.map((c) => {
+                      const has = studiedDays.has(c.iso);
+                      const selected = selectedDay === c.iso;
+                      const note = (db.calendarNotes?.[c.iso] || "").trim();
+                      const planned = examPlan.days[c.iso] || [];
+                      const reviews = reviewDays[c.iso] || [];
+                      const exams = db.subjects.filter((s) => !s.archived && s.examDate === c.iso);
 
-                  return (
-                    <button
-                      type="button"
-                      key={c.iso}
-                      onClick={() => selectCalendarDay(c.iso)}
-                      className={cx(
-                        "h-20 sm:h-24 rounded-2xl border p-3 transition text-left",
-                        isDark ? "border-zinc-800 bg-black" : "border-zinc-200 bg-white",
-                        !c.inMonth && "opacity-40",
-                        has && (isDark ? "outline outline-2 outline-white" : "outline outline-2 outline-zinc-950"),
-                        selected && (isDark ? "ring-2 ring-blue-500" : "ring-2 ring-blue-600")
-                      )}
-                      title={note ? note : c.iso}
-                    >
-                      <div className="flex items-start justify-between">
-                        <div className="font-bold">{c.day}</div>
-                        <div className="flex items-center gap-2">
-                          {note ? <span className="text-xs">📝</span> : null}
-                          {has ? (
-                            <div className="h-2 w-2 rounded-full" style={{ background: activeSubject?.color || "#2563eb" }} />
+                      return (
+                        <button
+                          type="button"
+                          key={c.iso}
+                          onClick={() => selectCalendarDay(c.iso)}
+                          className={cx(
+                            "h-20 sm:h-24 rounded-2xl border p-3 transition text-left",
+                            isDark ? "border-zinc-800 bg-black" : "border-zinc-200 bg-white",
+                            !c.inMonth && "opacity-40",
+                            has && (isDark ? "outline outline-2 outline-white" : "outline outline-2 outline-zinc-950"),
+                            selected && (isDark ? "ring-2 ring-blue-500" : "ring-2 ring-blue-600")
+                          )}
+                          title={note ? note : c.iso}
+                        >
+                          <div className="flex items-start justify-between">
+                            <div className="font-bold">{c.day}</div>
+                            <div className="flex items-center gap-2">
+                              {exams.length ? (
+                                <span
+                                  className="rounded bg-red-600 px-1 text-[10px] font-bold leading-4 text-white"
+                                  title={`Exam: ${exams.map((s) => s.name).join(", ")}`}
+                                >
+                                  🎓{exams.length > 1 ? exams.length : ""}
+                                </span>
+                              ) : null}
+                              {note ? <span className="text-xs">📝</span> : null}
+                              {has ? (
+                                <div className="h-2 w-2 rounded-full" style={{ background: activeSubject?.color || "#2563eb" }} />
+                              ) : null}
+                            </div>
+                          </div>
+                          {reviews.length ? (
+                            <div className="mt-1 flex items-center gap-0.5" title={`${reviews.length} review(s)`}>
+                              {reviews.slice(0, 5).map((r) => {
+                                const color = db.subjects.find((s) => s.id === r.subjectId)?.color || "#2563eb";
+                                return (
+                                  <span
+                                    key={`${r.subjectId}-${r.topicId || ""}`}
+                                    className="h-2 w-2 rounded-full border-2"
+                                    style={{ borderColor: color, background: r.projected ? "transparent" : color }}
+                                  />
+                                );
+                              })}
+                              {reviews.length > 5 ? <span className={cx("text-[10px]", muted)}>+{reviews.length - 5}</span> : null}
+                            </div>
                           ) : null}
-                        </div>
-                      </div>
-                      {note ? <div className={cx("mt-2 text-xs", muted)}>{note}</div> : null}
-                    </button>
-                  );
-                })}
-              </div>
+                          {planned.length ? (
+                            <div className="mt-1 flex flex-wrap gap-1" title="Planned Pomodoros">
+                              {planned.map((b) => (
+                                <span
+                                  key={b.subjectId}
+                                  className="rounded px-1 text-[10px] font-bold leading-4 text-white"
+                                  style={{ background: db.subjects.find((s) => s.id === b.subjectId)?.color || "#2563eb" }}
+                                >
+                                  {b.count}
+                                </span>
+                              ))}
+                            </div>
+                          ) : null}
+                          {note ? <div className={cx("mt-2 truncate text-xs", muted)}>{note}</div> : null}
+                        </button>
+                      );
+                    })}
+                  </div>
+                  <div className={cx("mt-3 flex flex-wrap items-center gap-4 text-xs", muted)}>
+                    <span className="flex items-center gap-1">
+                      <span className="h-2 w-2 rounded-full border-2 border-blue-600 bg-blue-600" /> Review scheduled
+                    </span>
+                    <span className="flex items-center gap-1">
+                      <span className="h-2 w-2 rounded-full border-2 border-blue-600" /> Projected (if reviews go “Good”)
+                    </span>
+                    <span className="flex items-center gap-1">
+                      <span className="rounded bg-red-600 px-1 text-[10px] font-bold leading-4 text-white">🎓</span> Exam
+                    </span>
+                  </div>
+                </>
+              ) : null}
             </div>
 
             <div className="w-full lg:w-[360px]">
@@ -1859,6 +3890,15 @@ export default function Home() {
                   </button>
                 </div>
 
+                {selectedDay <= currentDay && db.subjects.length ? (
+                  <button
+                    onClick={() => openLogSession(selectedDay, "calendar")}
+                    className={cx("mt-4 h-11 w-full rounded-xl font-semibold transition hover:scale-[1.02]", softBtn)}
+                  >
+                    ＋ Log a session on this day
+                  </button>
+                ) : null}
+
                 <div className="mt-5">
                   <div className="font-semibold">Notes</div>
                   <textarea
@@ -1920,48 +3960,210 @@ export default function Home() {
         </Modal>
       ) : null}
 
-      {/* ✅ ANALYTICS */}
-      {modal === "analytics" ? (
-        <Modal title="Analytics" onClose={() => setModal(null)} theme={db.theme} wide>
-          <div className="flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
-            <div className="flex flex-wrap gap-2">
-              {[
-                ["overview", "Overview"],
-                ["subjects", "Subjects"],
-                ["history", "History"],
-              ].map(([k, label]) => (
-                <button
-                  key={k}
-                  onClick={() => setAnalyticsTab(k)}
-                  className={cx("rounded-xl px-4 py-2 font-semibold transition hover:scale-[1.02]", analyticsTab === k ? primaryBtn : softBtn)}
+      {modal === "session" && sessionForm && (editSession || !editSessionId) ? (
+        <Modal title={editSession ? "Edit Session" : "Log Past Session"} onClose={() => setModal(sessionBackTo)} theme={db.theme}>
+          <div className="space-y-4">
+            {editSession ? (
+              <div className={cx("rounded-2xl border p-5", subtleCard)}>
+                <div className="flex items-center gap-2 text-lg font-bold">
+                  <span
+                    className="inline-block h-3 w-3 rounded-full"
+                    style={{ background: db.subjects.find((x) => x.id === editSession.subjectId)?.color || "#2563eb" }}
+                  />
+                  {db.subjects.find((x) => x.id === editSession.subjectId)?.name || "Unknown"}
+                </div>
+                <div className={cx("mt-1 text-sm", muted)}>
+                  {sessionDay(editSession)} · {sessionTime(editSession)} · {Math.round(sessionMinutes(editSession))}min
+                  {isPartial(editSession) ? " (partial)" : ""}
+                  {editSession.type === "manual" ? " · logged by hand" : ""}
+                </div>
+              </div>
+            ) : (
+              <p className={cx("text-sm", muted)}>Forgot to start the timer? Add the session here; it counts like any other.</p>
+            )}
+
+            <div className="grid grid-cols-1 gap-3 sm:grid-cols-2">
+              <label>
+                <div className="font-semibold">Subject</div>
+                <select
+                  value={sessionForm.subjectId}
+                  onChange={(e) => {
+                    const sub = db.subjects.find((x) => x.id === e.target.value);
+                    setSessionForm((f) => ({
+                      ...f,
+                      subjectId: e.target.value,
+                      topicId: sub ? suggestTopic(sub, f.day)?.id || "" : "",
+                    }));
+                  }}
+                  className={cx("mt-2 w-full rounded-xl border px-4 py-3 outline-none", inputBase)}
                 >
-                  {label}
-                </button>
-              ))}
+                  {db.subjects.map((sub) => (
+                    <option key={sub.id} value={sub.id}>
+                      {sub.name}
+                      {sub.archived ? " (archived)" : ""}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              {hasTopics(db.subjects.find((x) => x.id === sessionForm.subjectId) || {}) ? (
+                <label>
+                  <div className="font-semibold">Topic</div>
+                  <select
+                    value={sessionForm.topicId}
+                    onChange={(e) => setSessionForm((f) => ({ ...f, topicId: e.target.value }))}
+                    className={cx("mt-2 w-full rounded-xl border px-4 py-3 outline-none", inputBase)}
+                  >
+                    {db.subjects
+                      .find((x) => x.id === sessionForm.subjectId)
+                      .topics.map((t) => (
+                        <option key={t.id} value={t.id}>
+                          {t.name}
+                        </option>
+                      ))}
+                  </select>
+                </label>
+              ) : null}
+              <label>
+                <div className="font-semibold">Date</div>
+                <input
+                  type="date"
+                  max={currentDay}
+                  value={sessionForm.day}
+                  onChange={(e) => setSessionForm((f) => ({ ...f, day: e.target.value }))}
+                  className={cx("mt-2 w-full rounded-xl border px-4 py-3 outline-none", inputBase)}
+                />
+              </label>
+              <label>
+                <div className="font-semibold">Ended at</div>
+                <input
+                  type="time"
+                  value={sessionForm.time}
+                  onChange={(e) => setSessionForm((f) => ({ ...f, time: e.target.value }))}
+                  className={cx("mt-2 w-full rounded-xl border px-4 py-3 outline-none", inputBase)}
+                />
+              </label>
+              <label>
+                <div className="font-semibold">Minutes</div>
+                <input
+                  type="number"
+                  min={1}
+                  max={600}
+                  value={sessionForm.minutes}
+                  onChange={(e) => setSessionForm((f) => ({ ...f, minutes: e.target.value }))}
+                  className={cx("mt-2 w-full rounded-xl border px-4 py-3 outline-none", inputBase)}
+                />
+              </label>
             </div>
 
-            <div className="flex items-center gap-2">
-              <span className={muted}>Range</span>
-              {[7, 30].map((n) => (
-                <button
-                  key={n}
-                  onClick={() => setAnalyticsRange(n)}
-                  className={cx("rounded-xl px-3 py-2 font-semibold transition hover:scale-[1.02]", analyticsRange === n ? primaryBtn : softBtn)}
+            <div>
+              <div className="font-semibold">Difficulty</div>
+              <div className="mt-2 flex flex-wrap gap-2">
+                {["", ...GRADES].map((g) => (
+                  <button
+                    key={g || "none"}
+                    onClick={() => setSessionForm((f) => ({ ...f, difficulty: g }))}
+                    className={cx(
+                      "rounded-xl px-3 py-2 text-sm font-semibold transition hover:scale-[1.02]",
+                      sessionForm.difficulty === g ? primaryBtn : softBtn
+                    )}
+                  >
+                    {g || "Not rated"}
+                  </button>
+                ))}
+              </div>
+              <p className={cx("mt-1 text-xs", muted)}>Rated sessions drive the review schedule; it is recalculated when you save.</p>
+            </div>
+
+            <div>
+              <div className="font-semibold">Note</div>
+              <textarea
+                className={cx("mt-2 w-full rounded-xl border px-4 py-3 outline-none", inputBase)}
+                rows={4}
+                value={sessionForm.note}
+                onChange={(e) => setSessionForm((f) => ({ ...f, note: e.target.value }))}
+              />
+            </div>
+
+            <div className="flex flex-col gap-2 sm:flex-row">
+              <button
+                onClick={saveSession}
+                className={cx("h-11 flex-1 rounded-xl font-semibold transition hover:scale-[1.02]", primaryBtn)}
+              >
+                {editSession ? "Save" : "Log session"}
+              </button>
+              {editSession ? (
+                <button
+                  onClick={deleteSession}
+                  className="h-11 rounded-xl bg-red-600 px-5 font-semibold text-white transition hover:scale-[1.02]"
+                >
+                  Delete
+                </button>
+              ) : null}
+            </div>
+          </div>
+        </Modal>
+      ) : null}
+
+      {/* ✅ ANALYTICS */}
+      {modal === "analytics" ? (
+        <Modal title="Analytics" onClose={() => setModal(null)} theme={db.theme} wide>
+          <div className="flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
+            <div className="flex flex-wrap gap-2">
+              {[
+                ["overview", "Overview"],
+                ["subjects", "Subjects"],
+                ["history", "History"],
+              ].map(([k, label]) => (
+                <button
+                  key={k}
+                  onClick={() => setAnalyticsTab(k)}
+                  className={cx("rounded-xl px-4 py-2 font-semibold transition hover:scale-[1.02]", analyticsTab === k ? primaryBtn : softBtn)}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+
+            <div className="flex flex-wrap items-center gap-2">
+              <span className={muted}>Range</span>
+              {[...RANGE_OPTIONS, "custom"].map((n) => (
+                <button
+                  key={n}
+                  onClick={() => setAnalyticsRange(n)}
+                  className={cx("rounded-xl px-3 py-2 font-semibold transition hover:scale-[1.02]", analyticsRange === n ? primaryBtn : softBtn)}
                 >
-                  {n}d
+                  {n === "custom" ? "Custom" : `${n}d`}
                 </button>
               ))}
             </div>
           </div>
 
+          {analyticsRange === "custom" ? (
+            <div className="mt-3 flex flex-wrap items-center justify-end gap-2 text-sm">
+              <input
+                type="date"
+                value={analyticsCustom.from}
+                onChange={(e) => setAnalyticsCustom((c) => ({ ...c, from: e.target.value }))}
+                className={cx("rounded-xl border px-3 py-2 outline-none", inputBase)}
+              />
+              <span className={muted}>to</span>
+              <input
+                type="date"
+                value={analyticsCustom.to}
+                onChange={(e) => setAnalyticsCustom((c) => ({ ...c, to: e.target.value }))}
+                className={cx("rounded-xl border px-3 py-2 outline-none", inputBase)}
+              />
+            </div>
+          ) : null}
+
           {analyticsTab === "overview" ? (
             <>
               <div className="mt-5 grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-5">
                 {[
                   ["📚", db.subjects.length, "Subjects"],
-                  ["✅", db.sessions.length, "Reviews"],
-                  ["⏱️", `${Math.round(((db.sessions.length * timerCfg.pomodoroMin) / 60) * 10) / 10}h`, "Study Time"],
-                  ["🔥", stats ? stats.bestStreak : 0, "Best Streak"],
+                  ["✅", db.sessions.filter((s) => !isPartial(s)).length, "Reviews"],
+                  ["⏱️", `${Math.round((totalMinutes(db.sessions) / 60) * 10) / 10}h`, "Study Time"],
+                  ["🔥", stats ? stats.longestStreak : 0, "Best Streak"],
                   ["🎯", db.dailyGoal || 1, "Daily Goal"],
                 ].map(([icon, value, label]) => (
                   <button
@@ -2000,26 +4202,51 @@ export default function Home() {
                   </button>
                 </div>
 
-                <div className="mt-6 grid grid-cols-7 items-end gap-3">
-                  {rangeActivity.slice(-7).map((d) => (
-                    <button
-                      key={d.iso}
-                      onClick={() => {
-                        const dt = new Date(d.iso);
-                        setCalView({ y: dt.getFullYear(), m: dt.getMonth() });
-                        selectCalendarDay(d.iso);
-                        setModal("calendar");
-                      }}
-                      className="text-center"
-                      title={`${d.count} activity on ${d.iso}`}
-                    >
-                      <div
-                        className={cx("mx-auto w-8 rounded-xl transition-all", isDark ? "bg-white" : "bg-zinc-950")}
-                        style={{ height: `${10 + d.count * 18}px` }}
-                      />
-                      <div className={cx("mt-2 text-sm", muted)}>{d.label}</div>
-                    </button>
-                  ))}
+                <div className="mt-6">
+                  <ActivityBars days={rangeActivity} onPick={openCalendarDay} theme={db.theme} />
+                </div>
+              </div>
+
+              <div className={cx("mt-5 rounded-2xl border p-6", isDark ? "border-zinc-800 bg-black" : "border-zinc-200 bg-white")}>
+                <div className="text-xl font-bold">Last 12 months</div>
+                <div className={muted}>Sessions and days marked studied</div>
+                <div className="mt-4 overflow-x-auto">
+                  <div className="min-w-[640px]">
+                    <Heatmap weeks={heatmap} onPick={openCalendarDay} theme={db.theme} />
+                  </div>
+                </div>
+              </div>
+
+              <div className={cx("mt-5 rounded-2xl border p-6", isDark ? "border-zinc-800 bg-black" : "border-zinc-200 bg-white")}>
+                <div className="flex items-center justify-between gap-4">
+                  <div>
+                    <div className="text-xl font-bold">Time per subject</div>
+                    <div className={muted}>Minutes studied in the selected range</div>
+                  </div>
+                  <div className="flex gap-2">
+                    {["week", "month"].map((k) => (
+                      <button
+                        key={k}
+                        onClick={() => setChartBucket(k)}
+                        className={cx("rounded-xl px-3 py-2 text-sm font-semibold", chartBucket === k ? primaryBtn : softBtn)}
+                      >
+                        By {k}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+                <div className="mt-4">
+                  <StackedBars buckets={subjectMinutes} subjects={db.subjects} by={chartBucket} />
+                </div>
+                <div className="mt-3 flex flex-wrap gap-3 text-sm">
+                  {db.subjects
+                    .filter((s) => subjectMinutes.some((b) => b.totals[s.id]))
+                    .map((s) => (
+                      <span key={s.id} className="flex items-center gap-1">
+                        <span className="inline-block h-3 w-3 rounded-full" style={{ background: s.color || "#2563eb" }} />
+                        {s.name}
+                      </span>
+                    ))}
                 </div>
               </div>
             </>
@@ -2048,9 +4275,17 @@ export default function Home() {
                         <div className="text-lg font-bold">{s.name}</div>
                         {s.due ? (
                           <span className="ml-2 rounded-full bg-red-600 px-2 py-0.5 text-xs font-bold text-white">
-                            DUE
+                            {s.topicCount ? `${s.dueTopics}/${s.topicCount} DUE` : "DUE"}
                           </span>
                         ) : null}
+                        {s.archived ? (
+                          <span className={cx("ml-2 rounded-full px-2 py-0.5 text-xs font-bold", softBtn)}>
+                            ARCHIVED
+                          </span>
+                        ) : null}
+                      </div>
+                      <div className={cx("mt-1 text-sm", muted)}>
+                        Exam: <span className="font-semibold">{countdownLabel(s.daysLeft)}</span>
                       </div>
                       <div className={cx("mt-1 text-sm", muted)}>
                         Next review: <span className="font-semibold">{s.nextReviewDate}</span> · Interval:{" "}
@@ -2062,7 +4297,14 @@ export default function Home() {
                       </div>
                     </div>
 
-                    <div className={cx("rounded-xl px-3 py-2 text-sm font-semibold", softBtn)}>View →</div>
+                    <div className="flex w-36 flex-col items-end gap-3">
+                      <div className={cx("rounded-xl px-3 py-2 text-sm font-semibold", softBtn)}>View →</div>
+                      {!s.archived ? (
+                        <div className="w-full">
+                          <ReadinessBar score={s.readiness} theme={db.theme} />
+                        </div>
+                      ) : null}
+                    </div>
                   </div>
                 </button>
               ))}
@@ -2071,9 +4313,38 @@ export default function Home() {
 
           {analyticsTab === "history" ? (
             <div className="mt-6 space-y-3">
-              <div className={cx("rounded-2xl border p-5", subtleCard)}>
-                <div className="font-bold">Recent Pomodoro History</div>
-                <div className={cx("mt-1 text-sm", muted)}>Click an item to open that subject.</div>
+              <div className={cx("flex flex-col gap-3 rounded-2xl border p-5 sm:flex-row sm:items-center sm:justify-between", subtleCard)}>
+                <div>
+                  <div className="font-bold">Recent Pomodoro History</div>
+                  <div className={cx("mt-1 text-sm", muted)}>Click an item to open that subject.</div>
+                </div>
+                <div className="flex flex-wrap items-center gap-2">
+                  <select
+                    value={historySubjectId}
+                    onChange={(e) => setHistorySubjectId(e.target.value)}
+                    className={cx("rounded-xl border px-3 py-2 text-sm outline-none", inputBase)}
+                  >
+                    <option value="">All subjects</option>
+                    {db.subjects.map((s) => (
+                      <option key={s.id} value={s.id}>
+                        {s.name}
+                      </option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={() => openHistory({ subjectId: historySubjectId })}
+                    className={cx("rounded-xl px-4 py-2 text-sm font-semibold transition hover:scale-[1.02]", softBtn)}
+                  >
+                    Browse all →
+                  </button>
+                  <button
+                    onClick={exportSessionsCsv}
+                    className={cx("rounded-xl px-4 py-2 text-sm font-semibold transition hover:scale-[1.02]", softBtn)}
+                    title={`Sessions from ${analyticsBounds.from} to ${analyticsBounds.to}`}
+                  >
+                    Export CSV
+                  </button>
+                </div>
               </div>
 
               {history.length === 0 ? (
@@ -2096,9 +4367,12 @@ export default function Home() {
                         <div className="flex items-center gap-2 font-bold">
                           <span className="inline-block h-3 w-3 rounded-full" style={{ background: h.color }} />
                           {h.subjectName}
+                          {h.topicName ? <span className={cx("font-semibold", muted)}>· {h.topicName}</span> : null}
                         </div>
                         <div className={cx("mt-1 text-sm", muted)}>
-                          {h.day} · {h.time} · {h.minutes}min {h.difficulty ? `· ${h.difficulty}` : ""}
+                          {h.day} · {h.time} · {h.minutes}min{h.partial ? " (partial)" : ""}{" "}
+                          {h.pauses ? `· ${h.pauses} pause${h.pauses === 1 ? "" : "s"} ` : ""}
+                          {h.difficulty ? `· ${h.difficulty}` : ""}
                         </div>
                         {h.note ? <div className={cx("mt-2 text-sm", muted)}>📝 {h.note}</div> : null}
                       </div>
@@ -2112,6 +4386,186 @@ export default function Home() {
         </Modal>
       ) : null}
 
+      {/* ✅ HISTORY */}
+      {modal === "history" ? (
+        <Modal title="Session History" onClose={() => setModal(null)} theme={db.theme} wide>
+          <div className={cx("space-y-3 rounded-2xl border p-5", subtleCard)}>
+            <input
+              className={cx("w-full rounded-xl border px-4 py-3 outline-none", inputBase)}
+              placeholder="Search session notes and calendar notes…"
+              value={historyFilters.query}
+              onChange={(e) => updateHistoryFilters({ query: e.target.value })}
+            />
+            <div className="grid grid-cols-2 gap-2 text-sm sm:grid-cols-5">
+              <select
+                value={historyFilters.subjectId}
+                onChange={(e) => updateHistoryFilters({ subjectId: e.target.value })}
+                className={cx("rounded-xl border px-3 py-2 outline-none", inputBase)}
+              >
+                <option value="">All subjects</option>
+                {db.subjects.map((sub) => (
+                  <option key={sub.id} value={sub.id}>
+                    {sub.name}
+                  </option>
+                ))}
+              </select>
+              <select
+                value={historyFilters.difficulty}
+                onChange={(e) => updateHistoryFilters({ difficulty: e.target.value })}
+                className={cx("rounded-xl border px-3 py-2 outline-none", inputBase)}
+              >
+                <option value="">Any difficulty</option>
+                {GRADES.map((g) => (
+                  <option key={g} value={g}>
+                    {g}
+                  </option>
+                ))}
+                <option value="none">Not rated</option>
+              </select>
+              <input
+                type="date"
+                value={historyFilters.from}
+                onChange={(e) => updateHistoryFilters({ from: e.target.value })}
+                className={cx("rounded-xl border px-3 py-2 outline-none", inputBase)}
+                title="From"
+              />
+              <input
+                type="date"
+                value={historyFilters.to}
+                onChange={(e) => updateHistoryFilters({ to: e.target.value })}
+                className={cx("rounded-xl border px-3 py-2 outline-none", inputBase)}
+                title="To"
+              />
+              <select
+                value={historyFilters.note}
+                onChange={(e) => updateHistoryFilters({ note: e.target.value })}
+                className={cx("rounded-xl border px-3 py-2 outline-none", inputBase)}
+              >
+                <option value="any">With or without note</option>
+                <option value="with">With a note</option>
+                <option value="without">Without a note</option>
+              </select>
+            </div>
+            <div className="flex flex-wrap items-center justify-between gap-2">
+              <div className="flex items-center gap-2">
+                <span className={cx("text-sm", muted)}>Group by</span>
+                {[
+                  ["day", "Day"],
+                  ["week", "Week"],
+                ].map(([k, label]) => (
+                  <button
+                    key={k}
+                    onClick={() => setHistoryGroupBy(k)}
+                    className={cx("rounded-xl px-3 py-1.5 text-sm font-semibold transition hover:scale-[1.02]", historyGroupBy === k ? primaryBtn : softBtn)}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+              <button
+                onClick={() => updateHistoryFilters(DEFAULT_HISTORY_FILTERS)}
+                className={cx("text-sm underline-offset-4 hover:underline", muted)}
+              >
+                Clear filters
+              </button>
+            </div>
+          </div>
+
+          <div className="mt-4 flex items-center justify-between gap-3">
+            <div className={cx("text-sm", muted)}>{historyEntries.length} result(s)</div>
+            {db.subjects.length ? (
+              <button
+                onClick={() => openLogSession(currentDay, "history")}
+                className={cx("rounded-xl px-3 py-2 text-sm font-semibold transition hover:scale-[1.02]", softBtn)}
+              >
+                ＋ Log past session
+              </button>
+            ) : null}
+          </div>
+
+          {historyEntries.length === 0 ? (
+            <div className={cx("mt-3", muted)}>Nothing matches these filters.</div>
+          ) : (
+            <div className="mt-3 space-y-5">
+              {historyGroups.map((g) => (
+                <div key={g.key}>
+                  <div className="flex items-baseline justify-between gap-3">
+                    <div className="font-bold">{historyGroupBy === "week" ? `Week of ${g.from} – ${g.to}` : g.from}</div>
+                    <div className={cx("text-xs", muted)}>{g.items.length} item(s)</div>
+                  </div>
+                  <div className="mt-2 space-y-2">
+                    {g.items.map((e) => {
+                      if (e.kind === "note") {
+                        return (
+                          <button
+                            key={e.key}
+                            onClick={() => openCalendarDay(e.day)}
+                            className={cx(
+                              "w-full rounded-xl border px-4 py-3 text-left transition hover:scale-[1.01]",
+                              isDark ? "border-zinc-800 bg-black" : "border-zinc-200 bg-white"
+                            )}
+                          >
+                            <div className="font-semibold">📅 Day note{historyGroupBy === "week" ? ` · ${e.day}` : ""}</div>
+                            <div className={cx("mt-1 whitespace-pre-wrap text-sm", muted)}>{e.text}</div>
+                          </button>
+                        );
+                      }
+                      const x = e.session;
+                      const subj = db.subjects.find((sub) => sub.id === x.subjectId);
+                      const topic = (subj?.topics || []).find((t) => t.id === x.topicId);
+                      return (
+                        <button
+                          key={e.key}
+                          onClick={() => openSession(x, "history")}
+                          className={cx(
+                            "w-full rounded-xl border px-4 py-3 text-left transition hover:scale-[1.01]",
+                            isDark ? "border-zinc-800 bg-black" : "border-zinc-200 bg-white"
+                          )}
+                        >
+                          <div className="flex items-center gap-2 font-semibold">
+                            <span className="inline-block h-3 w-3 rounded-full" style={{ background: subj?.color || "#2563eb" }} />
+                            {subj?.name || "Unknown"}
+                            {topic ? <span className={muted}>· {topic.name}</span> : null}
+                          </div>
+                          <div className={cx("text-sm", muted)}>
+                            {historyGroupBy === "week" ? `${e.day} · ` : ""}
+                            {e.time} · {Math.round(sessionMinutes(x))}min{isPartial(x) ? " (partial)" : ""}
+                            {x.difficulty ? ` · ${x.difficulty}` : ""}
+                          </div>
+                          {x.note ? <div className={cx("mt-1 text-sm", muted)}>📝 {x.note}</div> : null}
+                        </button>
+                      );
+                    })}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {historyPages > 1 ? (
+            <div className="mt-5 flex items-center justify-center gap-3">
+              <button
+                onClick={() => setHistoryPage((p) => Math.max(0, p - 1))}
+                disabled={historyPage === 0}
+                className={cx("rounded-xl px-4 py-2 font-semibold transition hover:scale-[1.02] disabled:opacity-40", softBtn)}
+              >
+                ← Newer
+              </button>
+              <span className={cx("text-sm", muted)}>
+                Page {Math.min(historyPage, historyPages - 1) + 1} of {historyPages}
+              </span>
+              <button
+                onClick={() => setHistoryPage((p) => Math.min(historyPages - 1, p + 1))}
+                disabled={historyPage >= historyPages - 1}
+                className={cx("rounded-xl px-4 py-2 font-semibold transition hover:scale-[1.02] disabled:opacity-40", softBtn)}
+              >
+                Older →
+              </button>
+            </div>
+          ) : null}
+        </Modal>
+      ) : null}
+
       {/* ✅ SUBJECT DETAIL */}
       {modal === "subjectDetail" && subjectDetail ? (
         <Modal title="Subject Details" onClose={() => setModal("analytics")} theme={db.theme} wide>
@@ -2122,13 +4576,18 @@ export default function Home() {
                   <span className="inline-block h-3 w-3 rounded-full" style={{ background: subjectDetail.color || "#2563eb" }} />
                   <div className="text-2xl font-bold">{subjectDetail.name}</div>
                 </div>
-                <div className={cx("mt-1", muted)}>Exam: {subjectDetail.examDate}</div>
+                <div className={cx("mt-1", muted)}>
+                  Exam: {subjectDetail.examDate} ·{" "}
+                  <span className="font-semibold">{countdownLabel(subjectStatsById[subjectDetail.id]?.daysLeft)}</span>
+                </div>
                 <div className={cx("mt-1", muted)}>
                   Next Review: <span className="font-semibold">{subjectDetail.nextReviewDate || isoDay()}</span>
                 </div>
                 <div className={cx("mt-1", muted)}>
-                  Interval: <span className="font-semibold">{subjectDetail.intervalDays || 1}d</span> · Ease streak:{" "}
-                  <span className="font-semibold">{subjectDetail.easeStreak || 0}</span>
+                  Interval: <span className="font-semibold">{subjectDetail.intervalDays || 1}d</span> · Ease:{" "}
+                  <span className="font-semibold">{(subjectDetail.ease || 2.5).toFixed(2)}</span> · Reps:{" "}
+                  <span className="font-semibold">{subjectDetail.repetitions || 0}</span> · Lapses:{" "}
+                  <span className="font-semibold">{subjectDetail.lapses || 0}</span>
                 </div>
               </div>
 
@@ -2152,11 +4611,12 @@ export default function Home() {
               </div>
             </div>
 
-            <div className="mt-6 grid grid-cols-1 gap-4 sm:grid-cols-3">
+            <div className="mt-6 grid grid-cols-1 gap-4 sm:grid-cols-4">
               {[
                 ["Total reviews", subjectDetail.totalSessions],
                 ["Last 7 days", subjectDetail.last7],
                 ["Interval days", subjectDetail.intervalDays || 1],
+                ["Readiness", subjectDetail.archived ? "—" : `${subjectStatsById[subjectDetail.id]?.readiness ?? 0}%`],
               ].map(([label, value]) => (
                 <div
                   key={label}
@@ -2168,9 +4628,65 @@ export default function Home() {
               ))}
             </div>
 
+            {hasTopics(subjectDetail) ? (
+              <div className="mt-6">
+                <div className="text-lg font-bold">Topics</div>
+                <div className={cx("mt-1", muted)}>
+                  {dueTopics(subjectDetail, isoDay()).length} of {subjectDetail.topics.length} due
+                </div>
+                <div className="mt-3 space-y-2">
+                  {subjectDetail.topics.map((t) => {
+                    const topicDue = !subjectDetail.archived && (t.nextReviewDate || isoDay()) <= isoDay();
+                    return (
+                      <div
+                        key={t.id}
+                        className={cx(
+                          "flex items-center justify-between gap-3 rounded-xl border px-4 py-3",
+                          isDark ? "border-zinc-800" : "border-zinc-200"
+                        )}
+                      >
+                        <div>
+                          <div className="flex items-center gap-2 font-semibold">
+                            {t.name}
+                            {topicDue ? (
+                              <span className="rounded-full bg-red-600 px-2 py-0.5 text-xs font-bold text-white">DUE</span>
+                            ) : null}
+                          </div>
+                          <div className={cx("text-sm", muted)}>
+                            Next review {t.nextReviewDate} · {t.intervalDays || 1}d · ease {(t.ease || 2.5).toFixed(2)}
+                          </div>
+                        </div>
+                        <button
+                          onClick={() => {
+                            openTimer(subjectDetail.id);
+                            setActiveTopicId(t.id);
+                          }}
+                          className={cx("rounded-xl px-3 py-2 text-sm font-semibold transition hover:scale-[1.02]", softBtn)}
+                        >
+                          Study
+                        </button>
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+            ) : null}
+
             <div className="mt-6">
-              <div className="text-lg font-bold">Recent sessions</div>
-              <div className={cx("mt-1", muted)}>Last 10 sessions</div>
+              <div className="flex items-center justify-between gap-3">
+                <div>
+                  <div className="text-lg font-bold">Recent sessions</div>
+                  <div className={cx("mt-1", muted)}>Last 10 sessions</div>
+                </div>
+                {subjectDetail.totalSessions > subjectDetail.sessions.length ? (
+                  <button
+                    onClick={() => openHistory({ subjectId: subjectDetail.id })}
+                    className={cx("rounded-xl px-3 py-2 text-sm font-semibold transition hover:scale-[1.02]", softBtn)}
+                  >
+                    See all {subjectDetail.totalSessions} →
+                  </button>
+                ) : null}
+              </div>
 
               {subjectDetail.sessions.length === 0 ? (
                 <div className={cx("mt-3", muted)}>No sessions yet.</div>
@@ -2181,9 +4697,17 @@ export default function Home() {
                       key={s.id}
                       className={cx("rounded-xl border px-4 py-3", isDark ? "border-zinc-800" : "border-zinc-200")}
                     >
-                      <div className="font-semibold">{s.completedAt.slice(0, 10)}</div>
+                      <div className="font-semibold">
+                        {sessionDay(s)}
+                        {s.topicId ? (
+                          <span className={muted}>
+                            {" "}
+                            · {(subjectDetail.topics || []).find((t) => t.id === s.topicId)?.name || "Removed topic"}
+                          </span>
+                        ) : null}
+                      </div>
                       <div className={cx("text-sm", muted)}>
-                        {s.completedAt.slice(11, 16)} · {s.minutes || timerCfg.pomodoroMin}min{" "}
+                        {sessionTime(s)} · {s.minutes || timerCfg.pomodoroMin}min{s.partial ? " (partial)" : ""}{" "}
                         {s.difficulty ? `· ${s.difficulty}` : ""}
                       </div>
                       {s.note ? <div className={cx("mt-2 text-sm", muted)}>📝 {s.note}</div> : null}
@@ -2214,6 +4738,367 @@ export default function Home() {
         </Modal>
       ) : null}
 
+      {/* ✅ IMPORT */}
+      {modal === "examPlan" ? (
+        <Modal title="Plan until exams" onClose={() => setModal(null)} theme={db.theme} wide>
+          <div className="space-y-5">
+            <div className={cx("rounded-2xl border p-5", subtleCard)}>
+              <div className="font-semibold">Time available</div>
+              <p className={cx("mt-1 text-sm", muted)}>
+                Minutes you can study each weekday. At {timerCfg.pomodoroMin}m per Pomodoro.
+              </p>
+              <div className="mt-3 grid grid-cols-4 gap-2 sm:grid-cols-7">
+                {["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].map((d, i) => (
+                  <label key={d} className="text-sm">
+                    <div className={cx("font-semibold", muted)}>{d}</div>
+                    <input
+                      type="number"
+                      min={0}
+                      max={720}
+                      step={5}
+                      value={weekdayMinutes[i] ?? 0}
+                      onChange={(e) => saveWeekdayMinutes(i, e.target.value)}
+                      className={cx("mt-1 w-full rounded-xl border px-2 py-2 outline-none", inputBase)}
+                    />
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            <div>
+              <div className="font-semibold">Subjects</div>
+              {examPlan.subjects.length === 0 ? (
+                <div className={cx("mt-2 text-sm", muted)}>No upcoming exams to plan for.</div>
+              ) : (
+                <div className="mt-2 space-y-2">
+                  {examPlan.subjects.map((row) => {
+                    const sub = db.subjects.find((s) => s.id === row.subjectId);
+                    return (
+                      <div
+                        key={row.subjectId}
+                        className={cx(
+                          "flex flex-col gap-3 rounded-xl border px-4 py-3 sm:flex-row sm:items-center",
+                          isDark ? "border-zinc-800" : "border-zinc-200"
+                        )}
+                      >
+                        <span className="inline-block h-3 w-3 rounded-full" style={{ background: sub?.color || "#2563eb" }} />
+                        <div className="min-w-0 flex-1">
+                          <div className="truncate font-semibold">{sub?.name}</div>
+                          <div className={cx("text-xs", muted)}>
+                            {countdownLabel(daysUntilExam(sub, isoDay()))} · {row.done} done · {row.remaining} to go
+                          </div>
+                          {row.shortfall > 0 ? (
+                            <div className="text-xs font-semibold text-red-600">
+                              {row.shortfall} Pomodoros don’t fit before the exam — add time or lower the target
+                            </div>
+                          ) : null}
+                        </div>
+                        <label className="flex items-center gap-2 text-sm">
+                          <span className={muted}>Target</span>
+                          <input
+                            type="number"
+                            min={0}
+                            max={500}
+                            value={targetPomodoros(sub)}
+                            onChange={(e) => saveTargetPomodoros(row.subjectId, e.target.value)}
+                            className={cx("w-20 rounded-xl border px-2 py-2 outline-none", inputBase)}
+                          />
+                        </label>
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
+            </div>
+
+            {examPlanDays.length ? (
+              <div>
+                <div className="font-semibold">Next days</div>
+                <div className="mt-2 space-y-1">
+                  {examPlanDays.map(([day, blocks]) => (
+                    <div key={day} className="flex items-center gap-3 text-sm">
+                      <span className={cx("w-28 shrink-0", muted)}>{day}</span>
+                      <div className="flex flex-wrap gap-1">
+                        {blocks.map((b) => {
+                          const sub = db.subjects.find((s) => s.id === b.subjectId);
+                          return (
+                            <span
+                              key={b.subjectId}
+                              className="rounded-lg px-2 py-0.5 text-xs font-semibold text-white"
+                              style={{ background: sub?.color || "#2563eb" }}
+                            >
+                              {sub?.name} × {b.count}
+                            </span>
+                          );
+                        })}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+                <p className={cx("mt-3 text-sm", muted)}>
+                  Planned blocks also show in the Calendar. Missed or extra sessions are spread over the remaining days.
+                </p>
+              </div>
+            ) : null}
+          </div>
+        </Modal>
+      ) : null}
+
+      {modal === "reminders" ? (
+        <Modal title="Reminders" onClose={() => setModal(null)} theme={db.theme} wide>
+          <div className="space-y-5">
+            {!db.notificationsEnabled ? (
+              <div className={cx("rounded-xl border px-4 py-3 text-sm", subtleCard)}>
+                Enable notifications for these to fire.
+              </div>
+            ) : null}
+
+            <div className="space-y-3">
+              {db.reminders.map((rule) => (
+                <div key={rule.id} className={cx("rounded-2xl border p-4", subtleCard)}>
+                  <div className="flex items-center justify-between gap-3">
+                    <label className="flex items-center gap-2 font-semibold">
+                      <input
+                        type="checkbox"
+                        checked={rule.enabled}
+                        onChange={(e) => updateReminder(rule.id, { enabled: e.target.checked })}
+                      />
+                      {REMINDER_KINDS[rule.kind] || rule.kind}
+                    </label>
+                    <button
+                      onClick={() => deleteReminder(rule.id)}
+                      className={cx("text-sm underline-offset-4 hover:underline", muted)}
+                    >
+                      Remove
+                    </button>
+                  </div>
+
+                  <div className="mt-3 flex flex-wrap items-end gap-3 text-sm">
+                    <label>
+                      <div className={cx("font-semibold", muted)}>At</div>
+                      <input
+                        type="time"
+                        value={rule.time}
+                        onChange={(e) => updateReminder(rule.id, { time: e.target.value })}
+                        className={cx("mt-1 rounded-xl border px-2 py-2 outline-none", inputBase)}
+                      />
+                    </label>
+
+                    {rule.kind === "exam" ? (
+                      <label>
+                        <div className={cx("font-semibold", muted)}>Days before exam</div>
+                        <input
+                          type="number"
+                          min={0}
+                          max={60}
+                          value={rule.daysBefore}
+                          onChange={(e) => updateReminder(rule.id, { daysBefore: Math.max(0, Number(e.target.value) || 0) })}
+                          className={cx("mt-1 w-24 rounded-xl border px-2 py-2 outline-none", inputBase)}
+                        />
+                      </label>
+                    ) : null}
+
+                    <label>
+                      <div className={cx("font-semibold", muted)}>Quiet from</div>
+                      <input
+                        type="time"
+                        value={rule.quietFrom}
+                        onChange={(e) => updateReminder(rule.id, { quietFrom: e.target.value })}
+                        className={cx("mt-1 rounded-xl border px-2 py-2 outline-none", inputBase)}
+                      />
+                    </label>
+                    <label>
+                      <div className={cx("font-semibold", muted)}>to</div>
+                      <input
+                        type="time"
+                        value={rule.quietTo}
+                        onChange={(e) => updateReminder(rule.id, { quietTo: e.target.value })}
+                        className={cx("mt-1 rounded-xl border px-2 py-2 outline-none", inputBase)}
+                      />
+                    </label>
+                  </div>
+
+                  <div className="mt-3 flex flex-wrap gap-1">
+                    {["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].map((d, i) => (
+                      <button
+                        key={d}
+                        onClick={() => toggleReminderDay(rule, i)}
+                        className={cx(
+                          "rounded-lg px-2 py-1 text-xs font-semibold",
+                          rule.weekdays.includes(i) ? primaryBtn : softBtn
+                        )}
+                      >
+                        {d}
+                      </button>
+                    ))}
+                  </div>
+
+                  {inQuietHours(rule, now) ? (
+                    <div className={cx("mt-2 text-xs", muted)}>Quiet right now — held until quiet hours end.</div>
+                  ) : null}
+                </div>
+              ))}
+            </div>
+
+            <div className="flex flex-wrap gap-2">
+              {Object.entries(REMINDER_KINDS).map(([kind, label]) => (
+                <button
+                  key={kind}
+                  onClick={() => addReminder(kind)}
+                  className={cx("rounded-xl px-3 py-2 text-sm font-semibold", softBtn)}
+                >
+                  + {label}
+                </button>
+              ))}
+            </div>
+
+            <div>
+              <div className="font-semibold">Recently fired</div>
+              {db.reminderHistory.length === 0 ? (
+                <div className={cx("mt-2 text-sm", muted)}>Nothing yet.</div>
+              ) : (
+                <div className="mt-2 space-y-1">
+                  {db.reminderHistory.slice(0, 15).map((h) => (
+                    <div key={`${h.key}-${h.at}`} className="flex items-baseline gap-3 text-sm">
+                      <span className={cx("w-36 shrink-0", muted)}>{new Date(h.at).toLocaleString()}</span>
+                      <span className="min-w-0 truncate">
+                        <span className="font-semibold">{h.title}</span> — {h.body}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+        </Modal>
+      ) : null}
+
+      {modal === "ics" ? (
+        <Modal title="Export Calendar" onClose={() => setModal(null)} theme={db.theme}>
+          <div className="space-y-4">
+            <div className={cx("rounded-2xl border p-5", subtleCard)}>
+              <div className="font-semibold">What’s included</div>
+              <ul className={cx("mt-2 list-disc pl-5 text-sm", muted)}>
+                <li>Exam dates, as all-day events</li>
+                <li>Each subject’s (or topic’s) next review, as an all-day event; overdue ones land on today</li>
+              </ul>
+              <label className="mt-4 flex items-center gap-3 text-sm">
+                <input type="checkbox" checked={icsSessions} onChange={(e) => setIcsSessions(e.target.checked)} />
+                Also add completed sessions ({db.sessions.filter((x) => !x.partial).length})
+              </label>
+              <p className={cx("mt-3 text-xs", muted)}>
+                Importing a newer file into the same calendar updates these events instead of duplicating them.
+              </p>
+            </div>
+            <button
+              onClick={exportCalendar}
+              className={cx("h-12 w-full rounded-xl font-semibold transition hover:scale-[1.01]", primaryBtn)}
+            >
+              Download .ics
+            </button>
+          </div>
+        </Modal>
+      ) : null}
+
+      {modal === "import" ? (
+        <Modal title="Import Backup" onClose={() => setModal(null)} theme={db.theme}>
+          <div className="space-y-4">
+            <div className={cx("rounded-2xl border p-5", subtleCard)}>
+              <div className="font-semibold">Backup file</div>
+              <p className={cx("mt-1 text-sm", muted)}>Choose a .json file made with “Export data”.</p>
+              <input
+                ref={importInputRef}
+                type="file"
+                accept="application/json,.json"
+                className="hidden"
+                onChange={(e) => {
+                  pickImportFile(e.target.files?.[0]);
+                  e.target.value = "";
+                }}
+              />
+              <button
+                onClick={() => importInputRef.current?.click()}
+                className={cx("mt-3 h-11 w-full rounded-xl font-semibold transition hover:scale-[1.01]", softBtn)}
+              >
+                {importFile ? `📄 ${importFile.name}` : "Choose file…"}
+              </button>
+            </div>
+
+            {importFile?.errors?.length ? (
+              <div className="rounded-2xl border border-red-600 p-5">
+                <div className="font-semibold text-red-600">This file can’t be imported</div>
+                <ul className={cx("mt-2 list-disc pl-5 text-sm", muted)}>
+                  {importFile.errors.map((err) => (
+                    <li key={err}>{err}</li>
+                  ))}
+                </ul>
+              </div>
+            ) : null}
+
+            {importPlan ? (
+              <>
+                <div className="grid grid-cols-1 gap-2 sm:grid-cols-2">
+                  {[
+                    ["merge", "Merge", "Keep your data, add what’s missing"],
+                    ["replace", "Replace", "Overwrite everything with the backup"],
+                  ].map(([m, label, hint]) => (
+                    <button
+                      key={m}
+                      onClick={() => setImportMode(m)}
+                      className={cx(
+                        "rounded-xl px-4 py-3 text-left transition hover:scale-[1.01]",
+                        importMode === m ? primaryBtn : softBtn
+                      )}
+                    >
+                      <div className="font-semibold">{label}</div>
+                      <div className="text-xs opacity-80">{hint}</div>
+                    </button>
+                  ))}
+                </div>
+
+                <div className={cx("rounded-2xl border p-5", isDark ? "border-zinc-800" : "border-zinc-200")}>
+                  <div className="font-semibold">Preview</div>
+                  {importFile.exportedAt ? (
+                    <div className={cx("mt-1 text-xs", muted)}>Exported {importFile.exportedAt.slice(0, 16).replace("T", " ")}</div>
+                  ) : null}
+                  <div className={cx("mt-3 space-y-1 text-sm", muted)}>
+                    <div>
+                      Subjects: <span className="font-semibold">+{importPlan.summary.subjects.added}</span>
+                      {importMode === "merge" ? ` · ${importPlan.summary.subjects.matched} matched existing` : ""}
+                      {importPlan.summary.subjects.removed ? ` · ${importPlan.summary.subjects.removed} removed` : ""}
+                    </div>
+                    <div>
+                      Sessions: <span className="font-semibold">+{importPlan.summary.sessions.added}</span>
+                      {importMode === "merge" ? ` · ${importPlan.summary.sessions.duplicate} duplicate(s) skipped` : ""}
+                      {importPlan.summary.sessions.removed ? ` · ${importPlan.summary.sessions.removed} removed` : ""}
+                    </div>
+                    <div>
+                      Calendar notes: <span className="font-semibold">+{importPlan.summary.notes.added}</span>
+                      {importPlan.summary.notes.kept ? ` · ${importPlan.summary.notes.kept} conflicting kept as-is` : ""}
+                    </div>
+                    <div>
+                      Studied days: <span className="font-semibold">+{importPlan.summary.studied.added}</span>
+                    </div>
+                  </div>
+                  {importMode === "replace" ? (
+                    <div className="mt-3 text-sm font-semibold text-red-600">
+                      Replacing removes all current subjects, sessions and notes on this device.
+                    </div>
+                  ) : null}
+                </div>
+
+                <button
+                  onClick={applyImport}
+                  className={cx("h-12 w-full rounded-xl font-semibold transition hover:scale-[1.01]", primaryBtn)}
+                >
+                  {importMode === "replace" ? "Replace my data" : "Merge into my data"}
+                </button>
+              </>
+            ) : null}
+          </div>
+        </Modal>
+      ) : null}
+
       {/* ✅ ACHIEVEMENTS */}
       {modal === "achievements" ? (
         <Modal title="Achievements" onClose={() => setModal(null)} theme={db.theme} wide>
@@ -0,0 +1,112 @@
+import { addDays, daysBetween, weekdayOf } from "./dates";
+import { isPartial, sessionDay, sessionMinutes, sessionTime, sessionsBetween } from "./sessions";
+
+/** ---------- analytics series ---------- */
+// Plain data for the SVG charts: per-day activity, a year heatmap laid out in weeks,
+// and per-subject minutes bucketed by week or month.
+
+export const RANGE_OPTIONS = [7, 30, 90, 365];
+export const HEATMAP_DAYS = 365;
+
+// { from, to } day keys for a preset length, or a custom range in either order
+export function rangeBounds(range, custom, today) {
+  if (range === "custom" && custom?.from && custom?.to) {
+    return custom.from <= custom.to ? { from: custom.from, to: custom.to } : { from: custom.to, to: custom.from };
+  }
+  const days = Number(range) || 7;
+  return { from: addDays(today, -(days - 1)), to: today };
+}
+
+// { day: { count, minutes } }: completed sessions plus a manual "studied" tick count as
+// activity; partial sessions only add minutes
+export function dailyActivity(index, manualStudied, from, to) {
+  const out = {};
+  const at = (day) => (out[day] ||= { count: 0, minutes: 0 });
+  for (const s of sessionsBetween(index, from, to)) {
+    const d = at(sessionDay(s));
+    if (!isPartial(s)) d.count += 1;
+    d.minutes += sessionMinutes(s);
+  }
+  for (const [day, studied] of Object.entries(manualStudied || {})) {
+    if (studied && day >= from && day <= to) at(day).count += 1;
+  }
+  return out;
+}
+
+// Columns of Sun..Sat cells ending with the week that holds `today`, GitHub style.
+// Cells outside the range are null. Levels 0-4 scale against the busiest day.
+export function heatmapWeeks(activity, today, days = HEATMAP_DAYS) {
+  const from = addDays(today, -(days - 1));
+  const start = addDays(from, -weekdayOf(from));
+  const max = Math.max(1, ...Object.values(activity).map((a) => a.count));
+
+  const weeks = [];
+  for (let day = start; day <= today; day = addDays(day, 7)) {
+    const cells = [];
+    for (let i = 0; i < 7; i++) {
+      const iso = addDays(day, i);
+      if (iso < from || iso > today) {
+        cells.push(null);
+        continue;
+      }
+      const count = activity[iso]?.count || 0;
+      cells.push({ iso, count, minutes: activity[iso]?.minutes || 0, level: count ? Math.ceil((count / max) * 4) : 0 });
+    }
+    weeks.push(cells);
+  }
+  return weeks;
+}
+
+function bucketKey(day, by) {
+  return by === "month" ? day.slice(0, 7) : addDays(day, -weekdayOf(day));
+}
+
+// [{ key, start, totals: { subjectId: minutes }, total }] oldest first; empty buckets included
+// so gaps show. Weeks start on Sunday, like the calendar.
+export function minutesBySubject(index, from, to, by = "week") {
+  const buckets = new Map();
+  const first = bucketKey(from, by);
+  const span = daysBetween(first, to);
+  for (let i = 0; i <= span; i += by === "month" ? 1 : 7) {
+    const key = bucketKey(addDays(first, i), by);
+    if (!buckets.has(key)) buckets.set(key, { key, start: by === "month" ? `${key}-01` : key, totals: {}, total: 0 });
+  }
+
+  for (const s of sessionsBetween(index, from, to)) {
+    const b = buckets.get(bucketKey(sessionDay(s), by));
+    if (!b) continue;
+    const m = sessionMinutes(s);
+    b.totals[s.subjectId] = (b.totals[s.subjectId] || 0) + m;
+    b.total += m;
+  }
+  return [...buckets.values()];
+}
+
+export const SESSION_CSV_COLUMNS = ["date", "time", "subject", "topic", "minutes", "difficulty", "note"];
+
+// Header plus one row per session in the range, oldest first, optionally one subject's.
+// Date and time are local to where the session was studied; partial sessions are included
+// with their focused minutes, like the charts count them.
+export function sessionCsvRows(index, subjects, { from, to, subjectId = "" }) {
+  const byId = new Map(subjects.map((s) => [s.id, s]));
+  const rows = [SESSION_CSV_COLUMNS];
+  for (const s of sessionsBetween(index, from, to)) {
+    if (subjectId && s.subjectId !== subjectId) continue;
+    const subject = byId.get(s.subjectId);
+    const topic = (subject?.topics || []).find((t) => t.id === s.topicId);
+    rows.push([
+      sessionDay(s),
+      sessionTime(s),
+      subject?.name || "Unknown",
+      topic?.name || "",
+      Math.round(sessionMinutes(s) * 10) / 10,
+      s.difficulty || "",
+      s.note || "",
+    ]);
+  }
+  return rows;
+}
+
+export function sessionCsvFilename({ from, to }) {
+  return `studypace-sessions-${from}_${to}.csv`;
+}
@@ -0,0 +1,187 @@
+import { SCHEMA_VERSION, migrate } from "./storage";
+
+/** ---------- JSON export / import ---------- */
+export const BACKUP_APP = "studypace";
+
+export function exportBackup(db) {
+  return JSON.stringify(
+    {
+      app: BACKUP_APP,
+      schemaVersion: SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      db,
+    },
+    null,
+    2
+  );
+}
+
+export function backupFilename(day) {
+  return `studypace-backup-${day}.json`;
+}
+
+function isPlainObject(x) {
+  return !!x && typeof x === "object" && !Array.isArray(x);
+}
+
+function validateDB(db) {
+  const errors = [];
+
+  if (!Array.isArray(db.subjects)) errors.push("`subjects` must be a list.");
+  if (!Array.isArray(db.sessions)) errors.push("`sessions` must be a list.");
+  if (db.calendarNotes != null && !isPlainObject(db.calendarNotes))
+    errors.push("`calendarNotes` must be an object.");
+  if (db.manualStudied != null && !isPlainObject(db.manualStudied))
+    errors.push("`manualStudied` must be an object.");
+  if (errors.length) return errors;
+
+  db.subjects.forEach((s, i) => {
+    if (!isPlainObject(s) || typeof s.id !== "string" || !s.id)
+      errors.push(`Subject #${i + 1} has no id.`);
+    else if (typeof s.name !== "string" || !s.name.trim())
+      errors.push(`Subject #${i + 1} has no name.`);
+  });
+
+  db.sessions.forEach((s, i) => {
+    if (!isPlainObject(s) || typeof s.id !== "string" || !s.id)
+      errors.push(`Session #${i + 1} has no id.`);
+    else if (typeof s.completedAt !== "string" || Number.isNaN(Date.parse(s.completedAt)))
+      errors.push(`Session #${i + 1} has an invalid completedAt.`);
+  });
+
+  // one bad file can produce thousands of lines; the first few say enough
+  return errors.slice(0, 10);
+}
+
+// Accepts either an export envelope or a bare db blob (e.g. copied out of localStorage).
+export function parseBackup(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return { db: null, errors: ["File is not valid JSON."] };
+  }
+
+  if (!isPlainObject(data)) return { db: null, errors: ["File does not contain a StudyPace backup."] };
+
+  const envelope = data.app === BACKUP_APP && isPlainObject(data.db);
+  if (data.app && !envelope) return { db: null, errors: ["File was not exported by StudyPace."] };
+
+  const raw = envelope ? data.db : data;
+  const version = Number(raw.schemaVersion || 0);
+  if (version > SCHEMA_VERSION) {
+    return {
+      db: null,
+      errors: [`Backup uses schema v${version}, this app only understands up to v${SCHEMA_VERSION}.`],
+    };
+  }
+
+  const errors = validateDB(raw);
+  if (errors.length) return { db: null, errors };
+
+  return { db: migrate(raw), errors: [], exportedAt: envelope ? data.exportedAt || "" : "" };
+}
+
+/** ---------- import planning (preview before apply) ---------- */
+const nameKey = (name) => String(name || "").trim().toLowerCase();
+
+// device-local values that should survive a replace
+function keepDeviceFields(current, next) {
+  return {
+    ...next,
+    notificationPermission: current.notificationPermission,
+    notificationsEnabled: current.notificationsEnabled,
+    activeTimer: current.activeTimer || null,
+  };
+}
+
+export function planImport(current, incoming, mode) {
+  if (mode === "replace") {
+    const next = keepDeviceFields(current, incoming);
+    return {
+      next,
+      summary: {
+        subjects: { added: incoming.subjects.length, matched: 0, removed: current.subjects.length },
+        sessions: { added: incoming.sessions.length, duplicate: 0, removed: current.sessions.length },
+        notes: { added: Object.keys(incoming.calendarNotes || {}).length, kept: 0 },
+        studied: { added: Object.keys(incoming.manualStudied || {}).filter((k) => incoming.manualStudied[k]).length },
+      },
+    };
+  }
+
+  // merge: existing records win; incoming only fills what is missing
+  const byId = new Map(current.subjects.map((s) => [s.id, s]));
+  const byName = new Map(current.subjects.map((s) => [nameKey(s.name), s]));
+
+  const subjectIdMap = {}; // incoming id -> id in merged db
+  const addedSubjects = [];
+  let matched = 0;
+
+  for (const s of incoming.subjects) {
+    const hit = byId.get(s.id) || byName.get(nameKey(s.name));
+    if (hit) {
+      subjectIdMap[s.id] = hit.id;
+      matched++;
+      continue;
+    }
+    subjectIdMap[s.id] = s.id;
+    addedSubjects.push(s);
+    byId.set(s.id, s);
+    byName.set(nameKey(s.name), s);
+  }
+
+  // sessions are deduplicated by id, and by subject + completedAt for copies that were re-keyed
+  const seenIds = new Set(current.sessions.map((s) => s.id));
+  const seenSig = new Set(current.sessions.map((s) => `${s.subjectId}|${s.completedAt}`));
+  const addedSessions = [];
+  let duplicate = 0;
+
+  for (const s of incoming.sessions) {
+    const subjectId = subjectIdMap[s.subjectId] || s.subjectId;
+    const sig = `${subjectId}|${s.completedAt}`;
+    if (seenIds.has(s.id) || seenSig.has(sig)) {
+      duplicate++;
+      continue;
+    }
+    seenIds.add(s.id);
+    seenSig.add(sig);
+    addedSessions.push({ ...s, subjectId });
+  }
+
+  const calendarNotes = { ...(current.calendarNotes || {}) };
+  let notesAdded = 0;
+  let notesKept = 0;
+  for (const [day, text] of Object.entries(incoming.calendarNotes || {})) {
+    if (!text) continue;
+    if (calendarNotes[day]) {
+      if (calendarNotes[day] !== text) notesKept++;
+      continue;
+    }
+    calendarNotes[day] = text;
+    notesAdded++;
+  }
+
+  const manualStudied = { ...(current.manualStudied || {}) };
+  let studiedAdded = 0;
+  for (const [day, on] of Object.entries(incoming.manualStudied || {})) {
+    if (!on || manualStudied[day]) continue;
+    manualStudied[day] = true;
+    studiedAdded++;
+  }
+
+  return {
+    next: {
+      ...current,
+      subjects: [...current.subjects, ...addedSubjects],
+      sessions: [...current.sessions, ...addedSessions],
+      calendarNotes,
+      manualStudied,
+    },
+    summary: {
+      subjects: { added: addedSubjects.length, matched, removed: 0 },
+      sessions: { added: addedSessions.length, duplicate, removed: 0 },
+      notes: { added: notesAdded, kept: notesKept },
+      studied: { added: studiedAdded },
+    },
+  };
+}
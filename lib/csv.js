@@ -0,0 +1,59 @@
+/** ---------- CSV (RFC 4180) ---------- */
+// Quoted fields may hold commas, quotes ("") and line breaks. Spreadsheet exports
+// often start with a byte-order mark and use CRLF; both are accepted, and written.
+
+// rows of cells; blank lines are dropped
+export function parseCsv(text) {
+  const src = String(text || "").replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  row.push(cell);
+  rows.push(row);
+
+  return rows.filter((r) => r.some((c) => c.trim()));
+}
+
+// Spreadsheets run cells starting with these as formulas, so text cells get a leading
+// apostrophe to be shown as typed.
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function field(value) {
+  if (value == null) return "";
+  let v = String(value);
+  if (typeof value === "string" && FORMULA_START.test(v)) v = `'${v}`;
+  return /[",\r\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v;
+}
+
+// CRLF-separated, with a byte-order mark so Excel reads UTF-8 names correctly
+export function toCsv(rows) {
+  return "\uFEFF" + rows.map((r) => r.map(field).join(",")).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,102 @@
+/** ---------- local calendar days ("YYYY-MM-DD") ---------- */
+// A day key is always a date on the user's own calendar. Never build one from
+// toISOString(): that's the UTC date, which is a different day for part of every
+// day anywhere east or west of UTC.
+
+const pad = (n) => String(n).padStart(2, "0");
+
+let localZone = null;
+
+export function localTimeZone() {
+  if (localZone == null) {
+    try {
+      localZone = Intl.DateTimeFormat().resolvedOptions().timeZone || "";
+    } catch {
+      localZone = "";
+    }
+  }
+  return localZone;
+}
+
+export function isoDay(d = new Date()) {
+  const x = new Date(d);
+  return `${x.getFullYear()}-${pad(x.getMonth() + 1)}-${pad(x.getDate())}`;
+}
+
+// local midnight at the start of a day key
+export function parseDay(day) {
+  const [y, m, d] = day.split("-").map(Number);
+  return new Date(y, m - 1, d);
+}
+
+export function addDays(day, days) {
+  const d = parseDay(day);
+  d.setDate(d.getDate() + days);
+  return isoDay(d);
+}
+
+// whole days from `from` to `to` (negative when `to` is earlier), counted on the
+// calendar so a daylight-saving change in between doesn't matter
+export function daysBetween(from, to) {
+  const utc = (day) => {
+    const [y, m, d] = day.split("-").map(Number);
+    return Date.UTC(y, m - 1, d);
+  };
+  return Math.round((utc(to) - utc(from)) / 86400000);
+}
+
+// 0 = Sunday
+export function weekdayOf(day) {
+  return parseDay(day).getDay();
+}
+
+/** ---------- timestamps ---------- */
+// Sessions record the time zone they were studied in, so their day and time of day
+// stay put after travelling or a DST change. Without one, the device's zone is used.
+
+const formatters = new Map();
+
+function partsIn(ts, timeZone) {
+  let f = formatters.get(timeZone);
+  if (!f) {
+    f = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    });
+    formatters.set(timeZone, f);
+  }
+  const p = Object.fromEntries(f.formatToParts(new Date(ts)).map((x) => [x.type, x.value]));
+  return { day: `${p.year}-${p.month}-${p.day}`, time: `${p.hour}:${p.minute}` };
+}
+
+function localParts(ts, timeZone) {
+  if (timeZone && timeZone !== localTimeZone()) {
+    try {
+      return partsIn(ts, timeZone);
+    } catch {
+      // unknown zone name: fall through to the device's
+    }
+  }
+  const d = new Date(ts);
+  return { day: isoDay(d), time: `${pad(d.getHours())}:${pad(d.getMinutes())}` };
+}
+
+// day key of a timestamp (ISO string or ms)
+export function dayOf(ts, timeZone = "") {
+  return localParts(ts, timeZone).day;
+}
+
+// "HH:MM" of a timestamp
+export function timeOf(ts, timeZone = "") {
+  return localParts(ts, timeZone).time;
+}
+
+// ISO timestamp of local midnight, for comparing day keys against stored timestamps
+export function dayStartISO(day) {
+  return parseDay(day).toISOString();
+}
@@ -0,0 +1,55 @@
+import { daysBetween } from "./dates";
+
+/** ---------- exam countdown + readiness ---------- */
+export function daysUntilExam(subject, today) {
+  if (!subject.examDate) return null;
+  return daysBetween(today, subject.examDate);
+}
+
+export function countdownLabel(daysLeft) {
+  if (daysLeft == null) return "No exam date";
+  if (daysLeft < 0) return "Exam passed";
+  if (daysLeft === 0) return "Exam today";
+  if (daysLeft === 1) return "Exam tomorrow";
+  return `${daysLeft} days to exam`;
+}
+
+// Subjects whose exam is behind us drop out of the review queue. Editing the
+// exam date back into the future un-archives them (see archivedFor).
+export function archivedFor(subject, today) {
+  return !!subject.examDate && subject.examDate < today;
+}
+
+// Returns the same array when nothing changed so callers can skip a save.
+export function archivePassedExams(subjects, today) {
+  let changed = false;
+  const next = subjects.map((s) => {
+    const archived = archivedFor(s, today);
+    if (!!s.archived === archived) return s;
+    changed = true;
+    return { ...s, archived };
+  });
+  return changed ? next : subjects;
+}
+
+// 0-100 estimate of how exam-ready a subject is: 50% successful repetitions,
+// 30% ease, 20% practice in the last week, scaled down while the review is overdue.
+// A subject split into topics carries its topics' rollup, so repetitions are per topic.
+export function readiness(subject, { today, sessionsLast7 = 0 }) {
+  const items = Math.max(1, subject.topics?.length || 0);
+  const reps = Math.min(1, (subject.repetitions || 0) / items / 4);
+  const ease = Math.max(0, Math.min(1, ((subject.ease || 2.5) - 1.3) / 1.2));
+  const recent = Math.min(1, sessionsLast7 / 3);
+
+  const interval = Math.max(1, subject.intervalDays || 1);
+  const overdue = Math.max(0, daysBetween(subject.nextReviewDate || today, today));
+  const freshness = Math.max(0, 1 - overdue / (interval * 2));
+
+  return Math.round(100 * (0.5 * reps + 0.3 * ease + 0.2 * recent) * freshness);
+}
+
+export function readinessLevel(score) {
+  if (score >= 70) return { label: "Ready", color: "#16a34a" };
+  if (score >= 40) return { label: "Getting there", color: "#d97706" };
+  return { label: "Behind", color: "#dc2626" };
+}
@@ -0,0 +1,75 @@
+import { addDays, weekdayOf } from "./dates";
+import { gradeOf } from "./scheduler";
+import { sessionDay, sessionTime } from "./sessions";
+
+/** ---------- history browser ---------- */
+// Every session, newest first, narrowed by filters. A search also brings up calendar
+// day notes, so "what did I write about integrals" finds both kinds of note.
+// filters: { subjectId, difficulty: "" | grade | "none", from, to, note: "any" | "with" | "without", query }
+
+export const HISTORY_PAGE_SIZE = 25;
+
+export const DEFAULT_HISTORY_FILTERS = { subjectId: "", difficulty: "", from: "", to: "", note: "any", query: "" };
+
+// every whitespace-separated term must appear, case-insensitively
+function matcher(query) {
+  const terms = String(query || "").toLowerCase().split(/\s+/).filter(Boolean);
+  return (text) => {
+    const t = String(text || "").toLowerCase();
+    return terms.every((term) => t.includes(term));
+  };
+}
+
+const inRange = (day, from, to) => (!from || day >= from) && (!to || day <= to);
+
+// [{ kind: "session", key, day, time, session } | { kind: "note", key, day, text }], newest first.
+// Day notes only show up while searching; with a subject, difficulty or note-less filter
+// they don't apply and are left out.
+export function searchHistory(index, calendarNotes, filters) {
+  const f = { ...DEFAULT_HISTORY_FILTERS, ...filters };
+  const matches = matcher(f.query);
+  const out = [];
+
+  for (const s of index.sorted) {
+    const day = sessionDay(s);
+    if (!inRange(day, f.from, f.to)) continue;
+    if (f.subjectId && s.subjectId !== f.subjectId) continue;
+    if (f.difficulty && (gradeOf(s.difficulty) || "none") !== f.difficulty) continue;
+    const note = (s.note || "").trim();
+    if (f.note === "with" && !note) continue;
+    if (f.note === "without" && note) continue;
+    if (f.query && !matches(note)) continue;
+    out.push({ kind: "session", key: `s-${s.id}`, day, time: sessionTime(s), session: s });
+  }
+
+  if (f.query && !f.subjectId && !f.difficulty && f.note !== "without") {
+    for (const [day, text] of Object.entries(calendarNotes || {})) {
+      if (text.trim() && inRange(day, f.from, f.to) && matches(text)) {
+        // sorts after the day's sessions, i.e. first once reversed
+        out.push({ kind: "note", key: `n-${day}`, day, time: "99:99", text: text.trim() });
+      }
+    }
+  }
+
+  out.sort((a, b) => a.day.localeCompare(b.day) || a.time.localeCompare(b.time));
+  return out.reverse();
+}
+
+// [{ key, from, to, items }] in the entries' order; weeks start on Sunday, like the calendar
+export function groupHistory(entries, by = "day") {
+  const groups = [];
+  for (const e of entries) {
+    const from = by === "week" ? addDays(e.day, -weekdayOf(e.day)) : e.day;
+    let g = groups[groups.length - 1];
+    if (!g || g.key !== from) {
+      g = { key: from, from, to: by === "week" ? addDays(from, 6) : from, items: [] };
+      groups.push(g);
+    }
+    g.items.push(e);
+  }
+  return groups;
+}
+
+export function pageCount(total, size = HISTORY_PAGE_SIZE) {
+  return Math.max(1, Math.ceil(total / size));
+}
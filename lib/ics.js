@@ -0,0 +1,127 @@
+import { addDays } from "./dates";
+import { sessionMinutes } from "./sessions";
+import { hasTopics } from "./topics";
+
+/** ---------- iCalendar export ---------- */
+// Exams and scheduled reviews become all-day events, completed sessions timed ones.
+// UIDs are derived from ids (never from dates), so importing a newer export into the
+// same calendar moves the existing events instead of adding copies.
+
+const UID_DOMAIN = "studypace.app";
+const encoder = new TextEncoder();
+
+// RFC 5545 TEXT: backslash, semicolon, comma and newlines are escaped
+function text(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// content lines are folded at 75 octets; continuation lines start with a space
+function fold(line) {
+  if (encoder.encode(line).length <= 75) return line;
+  const out = [];
+  let chunk = "";
+  let size = 0;
+  for (const ch of line) {
+    const n = encoder.encode(ch).length;
+    if (size + n > (out.length ? 74 : 75)) {
+      out.push(chunk);
+      chunk = "";
+      size = 0;
+    }
+    chunk += ch;
+    size += n;
+  }
+  out.push(chunk);
+  return out.join("\r\n ");
+}
+
+const dateValue = (day) => day.replace(/-/g, "");
+const stamp = (ts) => new Date(ts).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+function allDay({ uid, day, summary, description, dtstamp }) {
+  return [
+    "BEGIN:VEVENT",
+    `UID:${uid}@${UID_DOMAIN}`,
+    `DTSTAMP:${dtstamp}`,
+    `DTSTART;VALUE=DATE:${dateValue(day)}`,
+    `DTEND;VALUE=DATE:${dateValue(addDays(day, 1))}`,
+    `SUMMARY:${text(summary)}`,
+    description ? `DESCRIPTION:${text(description)}` : null,
+    "TRANSP:TRANSPARENT",
+    "END:VEVENT",
+  ];
+}
+
+// a review item is one per subject, or one per topic for subjects split into topics
+function reviewItems(subject) {
+  if (hasTopics(subject)) {
+    return subject.topics.map((t) => ({ key: `${subject.id}-${t.id}`, name: `${subject.name} · ${t.name}`, day: t.nextReviewDate }));
+  }
+  return [{ key: subject.id, name: subject.name, day: subject.nextReviewDate }];
+}
+
+// opts: { today, includeSessions }. Overdue reviews are placed on today, like the calendar does.
+export function exportIcs(db, { today, includeSessions = false, now = Date.now() }) {
+  const dtstamp = stamp(now);
+  const subjects = db.subjects.filter((s) => !s.archived);
+  const byId = new Map(db.subjects.map((s) => [s.id, s]));
+  const events = [];
+
+  for (const s of subjects) {
+    if (s.examDate) {
+      events.push(allDay({ uid: `exam-${s.id}`, day: s.examDate, summary: `🎓 ${s.name} exam`, dtstamp }));
+    }
+    for (const item of reviewItems(s)) {
+      if (!item.day || (s.examDate && item.day > s.examDate)) continue;
+      events.push(
+        allDay({
+          uid: `review-${item.key}`,
+          day: item.day < today ? today : item.day,
+          summary: `🔁 Review ${item.name}`,
+          description: "Scheduled by StudyPace; the date moves as you review.",
+          dtstamp,
+        })
+      );
+    }
+  }
+
+  if (includeSessions) {
+    for (const x of db.sessions || []) {
+      if (x.partial || !x.completedAt) continue;
+      const end = Date.parse(x.completedAt);
+      const start = x.startedAt ? Date.parse(x.startedAt) : end - sessionMinutes(x) * 60000;
+      const subject = byId.get(x.subjectId);
+      const topic = (subject?.topics || []).find((t) => t.id === x.topicId);
+      events.push([
+        "BEGIN:VEVENT",
+        `UID:session-${x.id || x.completedAt}@${UID_DOMAIN}`,
+        `DTSTAMP:${dtstamp}`,
+        `DTSTART:${stamp(start)}`,
+        `DTEND:${stamp(end)}`,
+        `SUMMARY:${text(`📚 ${subject?.name || "Study"}${topic ? ` · ${topic.name}` : ""} (${Math.round(sessionMinutes(x))} min)`)}`,
+        x.note ? `DESCRIPTION:${text(x.note)}` : null,
+        "END:VEVENT",
+      ]);
+    }
+  }
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//StudyPace//Study calendar//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "X-WR-CALNAME:StudyPace",
+    ...events.flat(),
+    "END:VCALENDAR",
+  ];
+  return lines.filter(Boolean).map(fold).join("\r\n") + "\r\n";
+}
+
+export function icsFilename(day) {
+  return `studypace-${day}.ics`;
+}
@@ -0,0 +1,111 @@
+import { addDays, dayStartISO } from "./dates";
+
+/** ---------- IndexedDB stores (sessions + calendar notes) ---------- */
+const DB_NAME = "studypace";
+const DB_VERSION = 1;
+
+export const SESSIONS = "sessions"; // keyPath id, indexes subjectId + completedAt
+export const NOTES = "calendarNotes"; // keyPath day -> { day, text }
+
+let opening = null;
+
+export function idbSupported() {
+  return typeof indexedDB !== "undefined";
+}
+
+function reqToPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function txDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("IndexedDB transaction aborted"));
+  });
+}
+
+export function openIDB() {
+  if (!idbSupported()) return Promise.reject(new Error("IndexedDB not supported"));
+  if (opening) return opening;
+
+  opening = new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+
+    req.onupgradeneeded = () => {
+      const idb = req.result;
+      if (!idb.objectStoreNames.contains(SESSIONS)) {
+        const store = idb.createObjectStore(SESSIONS, { keyPath: "id" });
+        store.createIndex("subjectId", "subjectId");
+        store.createIndex("completedAt", "completedAt");
+      }
+      if (!idb.objectStoreNames.contains(NOTES)) {
+        idb.createObjectStore(NOTES, { keyPath: "day" });
+      }
+    };
+
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => reject(new Error("IndexedDB upgrade blocked by another tab"));
+  }).catch((err) => {
+    opening = null;
+    throw err;
+  });
+
+  return opening;
+}
+
+/** ---------- sessions ---------- */
+export async function getAllSessions() {
+  const idb = await openIDB();
+  const tx = idb.transaction(SESSIONS, "readonly");
+  return reqToPromise(tx.objectStore(SESSIONS).index("completedAt").getAll());
+}
+
+// Sessions completed between local days `from` and `to` (either may be ""), read off the
+// completedAt index. A session's day is taken in the zone it was studied in, which can be
+// a day either side of this device's, so the range is a day wider on each end; callers
+// trim it to the exact days.
+export async function querySessions({ from = "", to = "" } = {}) {
+  const idb = await openIDB();
+  const tx = idb.transaction(SESSIONS, "readonly");
+  const lo = from ? dayStartISO(addDays(from, -1)) : "";
+  const hi = to ? dayStartISO(addDays(to, 2)) : "";
+
+  let range = null;
+  if (lo && hi) range = IDBKeyRange.bound(lo, hi, false, true);
+  else if (lo) range = IDBKeyRange.lowerBound(lo);
+  else if (hi) range = IDBKeyRange.upperBound(hi, true);
+  return reqToPromise(tx.objectStore(SESSIONS).index("completedAt").getAll(range));
+}
+
+/** ---------- calendar notes ---------- */
+export async function getAllNotes() {
+  const idb = await openIDB();
+  const tx = idb.transaction(NOTES, "readonly");
+  const rows = await reqToPromise(tx.objectStore(NOTES).getAll());
+  return Object.fromEntries(rows.map((r) => [r.day, r.text]));
+}
+
+/** ---------- writes ---------- */
+// One transaction per batch so a failed write never leaves half a change behind.
+export async function writeChanges({ sessionPuts = [], sessionDeletes = [], notePuts = [], noteDeletes = [], clear = false }) {
+  const idb = await openIDB();
+  const tx = idb.transaction([SESSIONS, NOTES], "readwrite");
+  const sessions = tx.objectStore(SESSIONS);
+  const notes = tx.objectStore(NOTES);
+
+  if (clear) {
+    sessions.clear();
+    notes.clear();
+  }
+  sessionDeletes.forEach((id) => sessions.delete(id));
+  sessionPuts.forEach((s) => sessions.put(s));
+  noteDeletes.forEach((day) => notes.delete(day));
+  notePuts.forEach(([day, text]) => notes.put({ day, text }));
+
+  return txDone(tx);
+}
@@ -0,0 +1,37 @@
+/** ---------- service worker + background notifications ---------- */
+// Notifications go through the service worker when one is registered: it can show
+// them while the tab is hidden (and on mobile, where `new Notification` throws), and
+// where the browser has Notification Triggers it registers ones that are due later.
+
+export const NOTIFY_ICON = "/icon-192.png";
+
+let registration = null;
+
+export async function registerServiceWorker() {
+  if (typeof navigator === "undefined" || !("serviceWorker" in navigator)) return null;
+  try {
+    await navigator.serviceWorker.register("/sw.js");
+    registration = await navigator.serviceWorker.ready;
+  } catch {
+    registration = null;
+  }
+  return registration;
+}
+
+// Returns false when there is no service worker to show it, so the caller can fall back.
+export function swNotify(title, body, tag = "") {
+  if (!registration?.active) return false;
+  registration.showNotification(title, { body, tag, icon: NOTIFY_ICON, badge: NOTIFY_ICON }).catch(() => {});
+  return true;
+}
+
+// One pending notification per slot ("timer", "due"); scheduling again replaces it.
+// Without Notification Triggers the worker ignores it and only the page's own notification
+// shows; `tag` lets that one replace this one when both do.
+export function scheduleNotification(slot, at, { title, body, tag = slot }) {
+  registration?.active?.postMessage({ type: "schedule", slot, at, title, body, tag });
+}
+
+export function cancelNotification(slot) {
+  registration?.active?.postMessage({ type: "cancel", slot });
+}
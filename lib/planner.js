@@ -0,0 +1,95 @@
+import { daysBetween } from "./dates";
+import { daysUntilExam } from "./exams";
+import { dueTopics, hasTopics, suggestTopic } from "./topics";
+
+/** ---------- daily planner ---------- */
+// Turns due reviews, exam proximity and recent neglect into an ordered list of
+// Pomodoros for today, capped at the daily goal.
+
+const WEIGHTS = {
+  due: 10, // anything due outranks anything that isn't
+  overdueDay: 2, // per day past nextReviewDate, capped below
+  exam: 6, // scaled by how close the exam is (within 30 days)
+  neglect: 4, // scaled down by sessions in the last 7 days
+};
+
+function candidatesFor(subject, today) {
+  if (hasTopics(subject)) {
+    const due = dueTopics(subject, today);
+    if (due.length) return due.map((t) => ({ subject, topic: t, due: true, nextReviewDate: t.nextReviewDate }));
+    const t = suggestTopic(subject, today);
+    return [{ subject, topic: t, due: false, nextReviewDate: t?.nextReviewDate || "" }];
+  }
+  const due = (subject.nextReviewDate || today) <= today;
+  return [{ subject, topic: null, due, nextReviewDate: subject.nextReviewDate || today }];
+}
+
+function scoreOf(c, today, sessionsLast7) {
+  const overdue = c.due ? Math.max(0, daysBetween(c.nextReviewDate || today, today)) : 0;
+  const daysLeft = daysUntilExam(c.subject, today);
+  const proximity = daysLeft == null || daysLeft < 0 ? 0 : Math.max(0, 30 - daysLeft) / 30;
+  const recent = sessionsLast7[c.subject.id] || 0;
+
+  const score =
+    (c.due ? WEIGHTS.due : 0) +
+    Math.min(overdue, 7) * WEIGHTS.overdueDay +
+    proximity * WEIGHTS.exam +
+    WEIGHTS.neglect / (1 + recent);
+
+  let reason = "Keep it warm";
+  if (overdue > 0) reason = `Overdue ${overdue}d`;
+  else if (c.due) reason = "Due today";
+  if (daysLeft != null && daysLeft >= 0 && daysLeft <= 7) reason += ` · exam in ${daysLeft}d`;
+  else if (!c.due && recent === 0) reason = "Not studied this week";
+
+  return { score, reason };
+}
+
+// `keep` holds items already worked through today; they count towards the goal.
+export function buildDailyPlan({ subjects, sessionsLast7 = {}, today, goal, keep = [] }) {
+  const slots = Math.max(0, goal - keep.length);
+
+  const pool = subjects
+    .filter((s) => !s.archived)
+    .flatMap((s) => candidatesFor(s, today))
+    .map((c) => ({ ...c, ...scoreOf(c, today, sessionsLast7) }));
+
+  const picked = [];
+  for (let i = 0; i < slots && pool.length; i++) {
+    pool.sort((a, b) => b.score - a.score);
+    const top = pool[0];
+    picked.push({
+      id: crypto.randomUUID(),
+      subjectId: top.subject.id,
+      topicId: top.topic?.id || "",
+      reason: top.reason,
+      done: false,
+      sessionId: "",
+    });
+    // a second Pomodoro on the same thing is worth less than the next-best item
+    top.score /= 2;
+    top.reason = "Second pass";
+  }
+
+  return { day: today, items: [...keep, ...picked] };
+}
+
+export function nextPlanItem(plan) {
+  return plan?.items?.find((x) => !x.done) || null;
+}
+
+// Ticks off the planned item a finished session covered: same topic first, then same subject.
+// Off-plan sessions leave the plan untouched.
+export function completePlanItem(plan, { subjectId, topicId = "", sessionId = "" }) {
+  if (!plan?.items?.length) return plan;
+  const open = plan.items.filter((x) => !x.done);
+  const hit =
+    open.find((x) => x.subjectId === subjectId && x.topicId === topicId) ||
+    open.find((x) => x.subjectId === subjectId);
+  if (!hit) return plan;
+
+  return {
+    ...plan,
+    items: plan.items.map((x) => (x.id === hit.id ? { ...x, done: true, sessionId } : x)),
+  };
+}
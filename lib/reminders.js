@@ -0,0 +1,145 @@
+import { addDays, parseDay, weekdayOf } from "./dates";
+
+/** ---------- reminder rules ---------- */
+// A rule says when to remind ("weekdays at 18:00") and what has to be true for it to
+// fire ("daily goal not met"). The scheduler runs whenever the app is open, including
+// right after a revisit, and fires each occurrence at most once: the history keeps a
+// key per occurrence (rule + day, or rule + exam) so a reload never repeats one.
+// rule: { id, kind, enabled, time: "HH:MM", weekdays: [0..6], daysBefore, quietFrom: "HH:MM", quietTo: "HH:MM" }
+
+export const REMINDER_KINDS = {
+  due: "Reviews due",
+  goal: "Daily goal not met",
+  exam: "Exam coming up",
+  streak: "Streak at risk",
+};
+
+const EVERY_DAY = [0, 1, 2, 3, 4, 5, 6];
+const WEEKDAYS = [1, 2, 3, 4, 5];
+const HISTORY_MAX = 50;
+
+export const DEFAULT_REMINDERS = [
+  { id: "due", kind: "due", enabled: true, time: "08:00", weekdays: EVERY_DAY, daysBefore: 0, quietFrom: "", quietTo: "" },
+  { id: "goal", kind: "goal", enabled: false, time: "18:00", weekdays: WEEKDAYS, daysBefore: 0, quietFrom: "", quietTo: "" },
+  { id: "exam", kind: "exam", enabled: false, time: "09:00", weekdays: EVERY_DAY, daysBefore: 2, quietFrom: "", quietTo: "" },
+  { id: "streak", kind: "streak", enabled: false, time: "21:00", weekdays: EVERY_DAY, daysBefore: 0, quietFrom: "", quietTo: "" },
+];
+
+export function newReminder(kind) {
+  const base = DEFAULT_REMINDERS.find((r) => r.kind === kind) || DEFAULT_REMINDERS[0];
+  return { ...base, id: crypto.randomUUID(), enabled: true };
+}
+
+function minutesOf(hhmm) {
+  const [h, m] = String(hhmm || "").split(":").map(Number);
+  return Number.isFinite(h) ? h * 60 + (m || 0) : null;
+}
+
+function atTime(day, hhmm) {
+  const d = parseDay(day);
+  d.setMinutes(minutesOf(hhmm) ?? 0);
+  return d.getTime();
+}
+
+// quiet hours may wrap past midnight (22:00 - 07:00); equal or missing ends mean none
+export function inQuietHours(rule, now) {
+  const from = minutesOf(rule.quietFrom);
+  const to = minutesOf(rule.quietTo);
+  if (from == null || to == null || from === to) return false;
+  const d = new Date(now);
+  const m = d.getHours() * 60 + d.getMinutes();
+  return from < to ? m >= from && m < to : m >= from || m < to;
+}
+
+// When today's occurrence may fire: its time, pushed to the end of quiet hours if it
+// falls inside them. Null when the rule doesn't run today or quiet hours last past midnight.
+export function fireTime(rule, day) {
+  if (!rule.enabled || !(rule.weekdays || EVERY_DAY).includes(weekdayOf(day))) return null;
+  const at = atTime(day, rule.time);
+  if (!inQuietHours(rule, at)) return at;
+  const end = atTime(day, rule.quietTo);
+  return end > at ? end : null;
+}
+
+// ctx: { today, dueToday, todayDone, goal, studiedToday, streak, subjects }
+// `streak` counts the days studied up to yesterday, i.e. what is lost if today stays empty.
+function messagesFor(rule, ctx) {
+  const key = (suffix) => `${rule.id}:${suffix}`;
+  const title = "StudyPace reminder";
+
+  if (rule.kind === "due") {
+    if (!ctx.dueToday) return [];
+    return [{ key: key(ctx.today), title, body: `${ctx.dueToday} review(s) due today.` }];
+  }
+  if (rule.kind === "goal") {
+    if (ctx.todayDone >= ctx.goal) return [];
+    return [{ key: key(ctx.today), title: "Daily goal not met", body: `${ctx.todayDone} / ${ctx.goal} done today.` }];
+  }
+  if (rule.kind === "streak") {
+    if (ctx.studiedToday || !ctx.streak) return [];
+    return [{ key: key(ctx.today), title: "Streak at risk 🔥", body: `Study today to keep your ${ctx.streak}-day streak.` }];
+  }
+  if (rule.kind === "exam") {
+    const n = Number(rule.daysBefore || 0);
+    const examDay = addDays(ctx.today, n);
+    return ctx.subjects
+      .filter((s) => !s.archived && s.examDate === examDay)
+      .map((s) => ({
+        key: key(`${s.id}:${s.examDate}`),
+        title: `${s.name} exam ${n === 0 ? "today" : `in ${n} day(s)`}`,
+        body: `Exam on ${s.examDate}.`,
+      }));
+  }
+  return [];
+}
+
+// Occurrences that should fire now: today's time has passed, it isn't quiet right now,
+// the condition holds and it hasn't fired before. Earlier days are not caught up.
+export function dueReminders({ rules, history, ctx, now = Date.now() }) {
+  const fired = new Set((history || []).map((h) => h.key));
+  const out = [];
+  for (const rule of rules || []) {
+    const at = fireTime(rule, ctx.today);
+    if (at == null || now < at || inQuietHours(rule, now)) continue;
+    for (const m of messagesFor(rule, ctx)) {
+      if (!fired.has(m.key)) out.push({ ruleId: rule.id, ...m });
+    }
+  }
+  return out;
+}
+
+// Occurrences still ahead today whose condition holds right now, for the service worker
+// to show if the app isn't open by then. The page re-plans whenever the condition changes.
+export function upcomingReminders({ rules, history, ctx, now = Date.now() }) {
+  const fired = new Set((history || []).map((h) => h.key));
+  const out = [];
+  for (const rule of rules || []) {
+    const at = fireTime(rule, ctx.today);
+    if (at == null || at <= now) continue;
+    for (const m of messagesFor(rule, ctx)) {
+      if (!fired.has(m.key)) out.push({ ruleId: rule.id, at, ...m });
+    }
+  }
+  return out;
+}
+
+// newest first, capped
+export function logFired(history, fired, now = Date.now()) {
+  const at = new Date(now).toISOString();
+  const entries = fired.map((f) => ({ ruleId: f.ruleId, key: f.key, title: f.title, body: f.body, at }));
+  return [...entries, ...(history || [])].slice(0, HISTORY_MAX);
+}
+
+// the pre-rules build kept one "reminded today" day; carry it over so today isn't repeated
+export function historyFromLastNotify(lastDueNotifyDay) {
+  if (!lastDueNotifyDay) return [];
+  return [
+    {
+      ruleId: "due",
+      key: `due:${lastDueNotifyDay}`,
+      title: "StudyPace reminder",
+      body: "Reviews due today.",
+      at: parseDay(lastDueNotifyDay).toISOString(),
+    },
+  ];
+}
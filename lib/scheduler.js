@@ -0,0 +1,132 @@
+import { addDays, daysBetween } from "./dates";
+import { sessionDay } from "./sessions";
+
+/** ---------- SM-2 style review scheduler ---------- */
+// Grades collected by the review modal, worst to best.
+export const GRADES = ["again", "hard", "good", "easy"];
+
+// SM-2 quality (0-5) for each grade; anything below 3 counts as a lapse
+const QUALITY = { again: 2, hard: 3, good: 4, easy: 5 };
+
+export const DEFAULT_EASE = 2.5;
+const MIN_EASE = 1.3;
+const MAX_INTERVAL = 180;
+export const DEFAULT_CRAM_WINDOW = 7; // days before an exam when intervals start shrinking
+
+// intervals for the first two successful reviews, before the ease factor takes over
+const FIRST_STEPS = { hard: 1, good: 1, easy: 4 };
+const SECOND_STEPS = { hard: 3, good: 6, easy: 8 };
+
+// pre-SM-2 sessions were rated easy / medium / hard
+const LEGACY_GRADES = { easy: "easy", medium: "good", hard: "again" };
+
+export function gradeOf(difficulty) {
+  if (GRADES.includes(difficulty)) return difficulty;
+  return LEGACY_GRADES[difficulty] || "";
+}
+
+export function newSchedule(today) {
+  return { ease: DEFAULT_EASE, repetitions: 0, lapses: 0, intervalDays: 1, nextReviewDate: today };
+}
+
+export function scheduleState(subject) {
+  return {
+    ease: Number(subject.ease || DEFAULT_EASE),
+    repetitions: Number(subject.repetitions || 0),
+    lapses: Number(subject.lapses || 0),
+    intervalDays: Number(subject.intervalDays || 1),
+    nextReviewDate: subject.nextReviewDate || "",
+  };
+}
+
+// Never schedule past the exam. Inside the cram window the interval is also halved
+// against the days left, so there are always a couple more passes before the exam.
+// From exam day on there's nothing left to cap against, and the interval runs as usual.
+export function capForExam(interval, today, examDate, cramWindowDays = DEFAULT_CRAM_WINDOW) {
+  if (!examDate) return interval;
+  const left = daysBetween(today, examDate);
+  if (left <= 0) return interval;
+  if (left <= cramWindowDays) return Math.min(interval, Math.max(1, Math.floor(left / 2)));
+  return Math.min(interval, left);
+}
+
+export function isDue(subject, today) {
+  return !subject.archived && (subject.nextReviewDate || today) <= today;
+}
+
+export function review(state, grade, { today, examDate = "", cramWindowDays = DEFAULT_CRAM_WINDOW }) {
+  const q = QUALITY[grade];
+  if (q == null) throw new Error(`Unknown grade: ${grade}`);
+
+  const prev = Math.max(1, state.intervalDays || 1);
+  const ease = Math.max(MIN_EASE, state.ease + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02)));
+
+  let repetitions = state.repetitions;
+  let lapses = state.lapses;
+  let interval;
+
+  if (grade === "again") {
+    repetitions = 0;
+    lapses += 1;
+    interval = 1;
+  } else {
+    repetitions += 1;
+    if (repetitions === 1) interval = FIRST_STEPS[grade];
+    else if (repetitions === 2) interval = SECOND_STEPS[grade];
+    else if (grade === "hard") interval = Math.round(prev * 1.2);
+    else if (grade === "good") interval = Math.round(prev * ease);
+    else interval = Math.round(prev * ease * 1.3);
+
+    if (repetitions > 2 && grade !== "hard") interval = Math.max(prev + 1, interval);
+  }
+
+  const intervalDays = capForExam(
+    Math.min(MAX_INTERVAL, Math.max(1, interval)),
+    today,
+    examDate,
+    cramWindowDays
+  );
+
+  return {
+    ease: Math.round(ease * 100) / 100,
+    repetitions,
+    lapses,
+    intervalDays,
+    nextReviewDate: addDays(today, intervalDays),
+  };
+}
+
+// Review dates after the scheduled one if every review from there on is graded `grade`,
+// up to `until` and never past the exam. A preview of busy weeks; nothing is stored.
+export function projectReviews(state, { today, until, examDate = "", cramWindowDays = DEFAULT_CRAM_WINDOW, grade = "good" }) {
+  const dates = [];
+  let s = { ...state };
+  // an overdue item is assumed to be reviewed today
+  let day = s.nextReviewDate && s.nextReviewDate > today ? s.nextReviewDate : today;
+  while (day < until && (!examDate || day < examDate) && dates.length < 100) {
+    s = review(s, grade, { today: day, examDate, cramWindowDays });
+    if (s.nextReviewDate <= day || s.nextReviewDate > until) break;
+    day = s.nextReviewDate;
+    dates.push(day);
+  }
+  return dates;
+}
+
+// Rebuilds a subject's (or one of its topics') schedule from graded sessions, oldest first.
+// Returns null when nothing has been graded yet.
+export function replaySchedule(subject, sessions, { topicId = "", cramWindowDays = DEFAULT_CRAM_WINDOW } = {}) {
+  const graded = sessions
+    .filter((s) => s.subjectId === subject.id && (s.topicId || "") === topicId && gradeOf(s.difficulty))
+    .sort((a, b) => a.completedAt.localeCompare(b.completedAt));
+  if (!graded.length) return null;
+
+  let state = newSchedule(sessionDay(graded[0]));
+  for (const s of graded) {
+    state = review(state, gradeOf(s.difficulty), {
+      today: sessionDay(s),
+      examDate: subject.examDate,
+      cramWindowDays,
+    });
+  }
+  return state;
+}
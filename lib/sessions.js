@@ -0,0 +1,146 @@
+import { dayOf, localTimeZone, parseDay, timeOf } from "./dates";
+
+/** ---------- in-memory session index ---------- */
+// Analytics ask "what happened between day A and day B" many times per render;
+// a day-sorted array answers that with two binary searches instead of a full scan.
+
+// local day and time the session ended, in the zone it was studied in
+export function sessionDay(s) {
+  return dayOf(s.completedAt, s.timeZone);
+}
+
+export function sessionTime(s) {
+  return timeOf(s.completedAt, s.timeZone);
+}
+
+// { start, end } in minutes since midnight of the session's day, for timelines.
+// Wall time from startedAt when known (pauses included), else its minutes back from the end;
+// a session that began before midnight is cut off at 0.
+export function sessionSpan(s) {
+  const [h, m] = sessionTime(s).split(":").map(Number);
+  const end = h * 60 + m;
+  const started = s.startedAt ? Date.parse(s.startedAt) : NaN;
+  const length = Number.isNaN(started) ? sessionMinutes(s) : (Date.parse(s.completedAt) - started) / 60000;
+  return { start: Math.max(0, end - Math.max(1, length)), end };
+}
+
+export function indexSessions(sessions) {
+  // by day first: sessions from other time zones can make day and timestamp order disagree
+  const keyed = sessions.map((s) => [sessionDay(s), s]);
+  keyed.sort((a, b) => a[0].localeCompare(b[0]) || a[1].completedAt.localeCompare(b[1].completedAt));
+  const sorted = keyed.map((x) => x[1]);
+  const days = keyed.map((x) => x[0]);
+
+  const byDay = new Map();
+  const bySubject = new Map();
+  sorted.forEach((s, i) => {
+    const day = days[i];
+    if (!byDay.has(day)) byDay.set(day, []);
+    byDay.get(day).push(s);
+
+    if (!bySubject.has(s.subjectId)) bySubject.set(s.subjectId, []);
+    bySubject.get(s.subjectId).push(s);
+  });
+
+  return { sorted, days, byDay, bySubject };
+}
+
+// first position whose day is > day (or >= day when inclusive)
+function bound(days, day, inclusive) {
+  let lo = 0;
+  let hi = days.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (days[mid] < day || (!inclusive && days[mid] === day)) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+// inclusive on both ends, oldest first
+export function sessionsBetween(index, fromDay, toDay) {
+  return index.sorted.slice(bound(index.days, fromDay, true), bound(index.days, toDay, false));
+}
+
+export function sessionsOn(index, day) {
+  return index.byDay.get(day) || [];
+}
+
+export function sessionsFor(index, subjectId) {
+  return index.bySubject.get(subjectId) || [];
+}
+
+// skipped or reset Pomodoros are kept for study time but don't count as completed
+export function isPartial(s) {
+  return !!s.partial;
+}
+
+export function sessionMinutes(s) {
+  if (s.focusedSec != null) return s.focusedSec / 60;
+  return Number(s.minutes || 0);
+}
+
+export function totalMinutes(sessions) {
+  return sessions.reduce((n, s) => n + sessionMinutes(s), 0);
+}
+
+/** ---------- editing and logging by hand ---------- */
+// A form gives a local day, an "HH:MM" end time and minutes. Both edited and hand-logged
+// sessions are placed in this device's time zone, and their focus time is taken to be
+// the minutes entered, so charts and the timeline agree with what was typed.
+// fields: { subjectId, topicId, day, time, minutes, difficulty, note }
+
+function timing({ day, time, minutes }) {
+  const [h, m] = String(time || "00:00").split(":").map(Number);
+  const end = parseDay(day);
+  end.setHours(h || 0, m || 0);
+  const mins = Math.max(1, Math.round(Number(minutes) || 0));
+  return {
+    minutes: mins,
+    focusedSec: mins * 60,
+    startedAt: new Date(end.getTime() - mins * 60000).toISOString(),
+    completedAt: end.toISOString(),
+    timeZone: localTimeZone(),
+  };
+}
+
+export function manualSession(fields) {
+  return {
+    id: crypto.randomUUID(),
+    subjectId: fields.subjectId,
+    topicId: fields.topicId || "",
+    type: "manual",
+    mode: "",
+    presetId: "",
+    ...timing(fields),
+    pauses: 0,
+    interruptions: [],
+    partial: false,
+    endedBy: "",
+    difficulty: fields.difficulty || "",
+    note: (fields.note || "").trim(),
+  };
+}
+
+// Timing is only rewritten when the day, time or minutes changed, so saving an untouched
+// form keeps the original zone and pauses. The stored review snapshot goes stale once
+// anything the schedule depends on changes, so it is dropped then.
+export function editedSession(s, fields) {
+  const next = {
+    ...s,
+    subjectId: fields.subjectId,
+    topicId: fields.topicId || "",
+    difficulty: fields.difficulty || "",
+    note: (fields.note || "").trim(),
+  };
+  const retimed =
+    fields.day !== sessionDay(s) || fields.time !== sessionTime(s) || Number(fields.minutes) !== Math.round(sessionMinutes(s));
+  if (retimed) Object.assign(next, timing(fields), { interruptions: [], pauses: 0 });
+  if (scheduleKey(next) !== scheduleKey(s)) delete next.review;
+  return next;
+}
+
+// what a session contributes to its review item's schedule
+export function scheduleKey(s) {
+  return [s.subjectId, s.topicId || "", s.difficulty || "", sessionDay(s), s.completedAt].join("|");
+}
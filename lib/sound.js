@@ -0,0 +1,196 @@
+/** ---------- sound engine ---------- */
+// Everything is synthesized with Web Audio, so there are no audio files to ship or cache.
+// One shared AudioContext; browsers only let it start after a click, which the timer's
+// start button provides.
+
+export const CHIMES = {
+  beeps: "Three beeps",
+  bell: "Bell",
+  marimba: "Marimba",
+  soft: "Soft pad",
+  digital: "Digital",
+};
+
+export const AMBIENTS = {
+  off: "Off",
+  white: "White noise",
+  pink: "Pink noise",
+  brown: "Brown noise",
+  rain: "Rain",
+};
+
+let ctx = null;
+
+function audio() {
+  if (typeof window === "undefined") return null;
+  if (!ctx) {
+    const AudioCtx = window.AudioContext || window.webkitAudioContext;
+    if (!AudioCtx) return null;
+    ctx = new AudioCtx();
+  }
+  if (ctx.state === "suspended") ctx.resume().catch(() => {});
+  return ctx;
+}
+
+// One enveloped oscillator note: quick attack, exponential decay.
+function note(ac, out, { at, freq, type = "sine", peak = 0.2, attack = 0.01, decay = 0.2 }) {
+  const o = ac.createOscillator();
+  const g = ac.createGain();
+  o.type = type;
+  o.frequency.value = freq;
+  g.gain.setValueAtTime(0.0001, at);
+  g.gain.exponentialRampToValueAtTime(peak, at + attack);
+  g.gain.exponentialRampToValueAtTime(0.0001, at + attack + decay);
+  o.connect(g);
+  g.connect(out);
+  o.start(at);
+  o.stop(at + attack + decay + 0.05);
+}
+
+const PATTERNS = {
+  // the original end sound
+  beeps: (ac, out, t) => [880, 990, 880].forEach((f, i) => note(ac, out, { at: t + i * 0.28, freq: f, peak: 0.16, decay: 0.17 })),
+  bell: (ac, out, t) => {
+    // a few inharmonic partials ringing out
+    [1, 2.76, 5.4].forEach((k, i) => note(ac, out, { at: t, freq: 523 * k, peak: 0.18 / (i + 1), decay: 2.2 / (i + 1) }));
+  },
+  marimba: (ac, out, t) =>
+    [523, 659, 784, 1047].forEach((f, i) => note(ac, out, { at: t + i * 0.14, freq: f, type: "triangle", peak: 0.22, decay: 0.35 })),
+  soft: (ac, out, t) => [392, 494, 587].forEach((f) => note(ac, out, { at: t, freq: f, peak: 0.08, attack: 0.4, decay: 1.6 })),
+  digital: (ac, out, t) => {
+    for (let i = 0; i < 4; i++) note(ac, out, { at: t + i * 0.12, freq: 1760, type: "square", peak: 0.05, decay: 0.06 });
+  },
+};
+
+// short two-note cues for breaks: rising when a break starts, falling when it ends
+const CUES = {
+  breakStart: [587, 880],
+  breakEnd: [880, 587],
+};
+
+function output(ac, volume) {
+  const g = ac.createGain();
+  g.gain.value = Math.max(0, Math.min(1, Number(volume ?? 1)));
+  g.connect(ac.destination);
+  return g;
+}
+
+export function playChime(id = "beeps", volume = 0.7) {
+  try {
+    const ac = audio();
+    if (!ac) return;
+    (PATTERNS[id] || PATTERNS.beeps)(ac, output(ac, volume), ac.currentTime + 0.02);
+  } catch {}
+}
+
+export function playCue(kind, volume = 0.7) {
+  try {
+    const ac = audio();
+    const freqs = CUES[kind];
+    if (!ac || !freqs) return;
+    const out = output(ac, volume);
+    freqs.forEach((f, i) => note(ac, out, { at: ac.currentTime + 0.02 + i * 0.18, freq: f, type: "triangle", peak: 0.14, decay: 0.25 }));
+  } catch {}
+}
+
+/** ---------- ambient noise ---------- */
+const NOISE_SECONDS = 4;
+
+function noiseBuffer(ac, kind) {
+  const len = ac.sampleRate * NOISE_SECONDS;
+  const buf = ac.createBuffer(1, len, ac.sampleRate);
+  const data = buf.getChannelData(0);
+
+  if (kind === "brown") {
+    // integrated white noise, leaking back to 0 so it doesn't drift
+    let last = 0;
+    for (let i = 0; i < len; i++) {
+      last = (last + 0.02 * (Math.random() * 2 - 1)) / 1.02;
+      data[i] = last * 3.5;
+    }
+  } else if (kind === "pink") {
+    // Paul Kellet's economy filter
+    let b0 = 0;
+    let b1 = 0;
+    let b2 = 0;
+    for (let i = 0; i < len; i++) {
+      const w = Math.random() * 2 - 1;
+      b0 = 0.99765 * b0 + w * 0.099046;
+      b1 = 0.963 * b1 + w * 0.2965164;
+      b2 = 0.57 * b2 + w * 1.0526913;
+      data[i] = (b0 + b1 + b2 + w * 0.1848) * 0.11;
+    }
+  } else {
+    for (let i = 0; i < len; i++) data[i] = Math.random() * 2 - 1;
+  }
+  return buf;
+}
+
+let ambient = null; // { kind, source, gain, nodes }
+
+export function stopAmbient() {
+  if (!ambient) return;
+  const { source, gain, nodes } = ambient;
+  ambient = null;
+  try {
+    const t = ctx.currentTime;
+    gain.gain.setTargetAtTime(0, t, 0.15);
+    nodes.forEach((n) => n.stop?.(t + 0.8));
+    source.stop(t + 0.8);
+  } catch {}
+}
+
+export function setAmbientVolume(volume) {
+  if (ambient) ambient.gain.gain.setTargetAtTime(Math.max(0, Math.min(1, volume)), ctx.currentTime, 0.1);
+}
+
+export function startAmbient(kind, volume = 0.3) {
+  if (ambient?.kind === kind) return setAmbientVolume(volume);
+  stopAmbient();
+  if (!AMBIENTS[kind] || kind === "off") return;
+
+  try {
+    const ac = audio();
+    if (!ac) return;
+    const source = ac.createBufferSource();
+    source.buffer = noiseBuffer(ac, kind === "rain" ? "white" : kind);
+    source.loop = true;
+
+    const gain = ac.createGain();
+    gain.gain.setValueAtTime(0, ac.currentTime);
+    gain.gain.setTargetAtTime(Math.max(0, Math.min(1, volume)), ac.currentTime, 0.4);
+    gain.connect(ac.destination);
+
+    const nodes = [];
+    if (kind === "rain") {
+      // band-limited hiss with a slow wobble reads as rain on a window
+      const band = ac.createBiquadFilter();
+      band.type = "bandpass";
+      band.frequency.value = 1400;
+      band.Q.value = 0.6;
+      const low = ac.createBiquadFilter();
+      low.type = "lowpass";
+      low.frequency.value = 5000;
+      const wobble = ac.createGain();
+      wobble.gain.value = 0.7;
+      const lfo = ac.createOscillator();
+      lfo.frequency.value = 0.3;
+      const depth = ac.createGain();
+      depth.gain.value = 0.25;
+      lfo.connect(depth);
+      depth.connect(wobble.gain);
+      lfo.start();
+      nodes.push(lfo);
+
+      source.connect(band);
+      band.connect(low);
+      low.connect(wobble);
+      wobble.connect(gain);
+    } else {
+      source.connect(gain);
+    }
+
+    source.start();
+    ambient = { kind, source, gain, nodes };
+  } catch {}
+}
@@ -0,0 +1,440 @@
+import { addDays, parseDay } from "./dates";
+import { getAllNotes, getAllSessions, idbSupported, querySessions, writeChanges } from "./idb";
+import { DEFAULT_CRAM_WINDOW } from "./scheduler";
+import { sessionDay } from "./sessions";
+import { DEFAULT_WEEKDAY_MINUTES } from "./studyPlan";
+import { rollupSubject } from "./topics";
+import { DEFAULT_PRESETS, matchPreset } from "./timer";
+import { DEFAULT_REMINDERS, historyFromLastNotify } from "./reminders";
+import { applyOps, broadcast, diffOps, onBroadcast } from "./sync";
+
+/** ---------- localStorage DB ---------- */
+export const KEY = "studypace_db";
+
+// keys written by older builds; read once, migrated into KEY, then removed
+const LEGACY_KEYS = ["studypace_full_singlefile_v4_everything"];
+
+export function systemTheme() {
+  if (typeof window === "undefined") return "light";
+  return window.matchMedia?.("(prefers-color-scheme: dark)")?.matches ? "dark" : "light";
+}
+
+export function defaultDB() {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+
+    theme: systemTheme(),
+    onboardingDone: false,
+
+    notificationsEnabled: false,
+    notificationPermission: "default",
+    // rules checked by the reminder scheduler, and what they fired (newest first)
+    reminders: DEFAULT_REMINDERS, // [{id, kind, enabled, time, weekdays, daysBefore, quietFrom, quietTo}]
+    reminderHistory: [], // [{ruleId, key, title, body, at}]
+
+    dailyGoal: 2,
+
+    // rolloverHour: sessions before this hour count towards the previous day's streak
+    streak: { freezes: true, rolloverHour: 0 },
+
+    // timer upgrades
+    timer: {
+      pomodoroMin: 25,
+      shortMin: 5,
+      longMin: 15,
+      cyclesBeforeLong: 4,
+      autoStartBreak: true,
+      autoStartPomodoro: true,
+      endSound: true,
+      chime: "beeps", // see CHIMES in sound.js
+      volume: 0.7,
+      ambient: "off", // off | white | pink | brown | rain, only while a Pomodoro runs
+      ambientVolume: 0.3,
+      breakCues: true,
+      presets: DEFAULT_PRESETS, // [{id, name, pomodoroMin, shortMin, longMin}]
+      presetId: "classic", // "" once the durations are edited by hand
+    },
+    pomodoroCycleCount: 0,
+
+    // timer in progress, so it survives reloads and other tabs can mirror it (see timerSnapshot)
+    activeTimer: null,
+
+    scheduling: {
+      cramWindowDays: DEFAULT_CRAM_WINDOW,
+      weekdayMinutes: DEFAULT_WEEKDAY_MINUTES, // study time available Sun..Sat, for the exam plan
+    },
+
+    // topics: [{id, name, intervalDays, ease, repetitions, lapses, nextReviewDate}] in chapter order
+    subjects: [], // {id, name, examDate, nextReviewDate, color, intervalDays, ease, repetitions, lapses, archived, topics, targetPomodoros}
+    sessions: [], // {id, subjectId, topicId, type:'pomodoro'|'manual', mode, presetId, minutes, focusedSec, pauses, interruptions, partial, endedBy, startedAt, completedAt, timeZone, difficulty, note, review}
+
+    // today's queue from the planner: { day, items: [{id, subjectId, topicId, reason, done, sessionId}] }
+    dailyPlan: { day: "", items: [] },
+
+    calendarNotes: {}, // { "YYYY-MM-DD": "note" }
+    manualStudied: {}, // { "YYYY-MM-DD": true }
+
+    // where sessions + calendarNotes are persisted: inline in this blob, or IndexedDB
+    sessionStore: "local", // local | indexeddb
+  };
+}
+
+/** ---------- schema migrations ---------- */
+// Day keys written before the local-date fix were the UTC date of local midnight,
+// which east of UTC is the day before. Maps such a key to the day it was meant for.
+function fromLegacyDay(key) {
+  const legacy = (day) => parseDay(day).toISOString().slice(0, 10);
+  if (legacy(key) === key) return key;
+  const next = addDays(key, 1);
+  return legacy(next) === key ? next : key;
+}
+
+// The SM-2 grading and replay as they shipped with step 1 -> 2, frozen so later scheduler
+// changes don't alter what that step produces. Only ease, repetitions and lapses are
+// seeded, and those depend on the grades alone, not on dates or intervals.
+const V2_GRADES = ["again", "hard", "good", "easy"];
+const V2_LEGACY_GRADES = { easy: "easy", medium: "good", hard: "again" };
+const V2_QUALITY = { again: 2, hard: 3, good: 4, easy: 5 };
+
+function v2Grade(difficulty) {
+  if (V2_GRADES.includes(difficulty)) return difficulty;
+  return V2_LEGACY_GRADES[difficulty] || "";
+}
+
+// { ease, repetitions, lapses } from a subject's graded sessions, or null if none are graded
+function v2Replay(subject, sessions) {
+  const graded = sessions
+    .filter((s) => s.subjectId === subject.id && v2Grade(s.difficulty))
+    .sort((a, b) => a.completedAt.localeCompare(b.completedAt));
+  if (!graded.length) return null;
+
+  let ease = 2.5;
+  let repetitions = 0;
+  let lapses = 0;
+  for (const s of graded) {
+    const grade = v2Grade(s.difficulty);
+    const q = V2_QUALITY[grade];
+    ease = Math.round(Math.max(1.3, ease + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02))) * 100) / 100;
+    if (grade === "again") {
+      repetitions = 0;
+      lapses += 1;
+    } else {
+      repetitions += 1;
+    }
+  }
+  return { ease, repetitions, lapses };
+}
+
+// MIGRATIONS[i] upgrades a db from schemaVersion i to i + 1.
+// Append new steps at the end; never edit or reorder a step that has shipped.
+const MIGRATIONS = [
+  // 0 -> 1: the v4 single-file blob had no schemaVersion and no guaranteed review fields
+  (db) => ({
+    ...db,
+    subjects: (db.subjects || []).map((s) => ({
+      ...s,
+      color: s.color || "#2563eb",
+      intervalDays: s.intervalDays || 1,
+      easeStreak: s.easeStreak || 0,
+    })),
+    sessions: (db.sessions || []).map((s) => ({
+      ...s,
+      type: s.type || "pomodoro",
+      minutes: s.minutes || Number(db.timer?.pomodoroMin || 25),
+      note: s.note || "",
+    })),
+  }),
+
+  // 1 -> 2: SM-2 scheduler. easy/medium/hard become grades, and ease/repetitions/lapses
+  // are seeded by replaying each subject's graded history. Dates stay as the user left them.
+  (db) => {
+    const sessions = (db.sessions || []).map((s) =>
+      s.difficulty && v2Grade(s.difficulty) !== s.difficulty ? { ...s, difficulty: v2Grade(s.difficulty) } : s
+    );
+    const subjects = (db.subjects || []).map((s) => {
+      const replayed = v2Replay(s, sessions);
+      const next = {
+        ...s,
+        ease: replayed ? replayed.ease : 2.5,
+        repetitions: replayed ? replayed.repetitions : 0,
+        lapses: replayed ? replayed.lapses : 0,
+      };
+      delete next.easeStreak;
+      return next;
+    });
+    return { ...db, subjects, sessions };
+  },
+
+  // 2 -> 3: subjects can be split into topics, each with its own schedule
+  (db) => ({
+    ...db,
+    subjects: (db.subjects || []).map((s) => (Array.isArray(s.topics) ? s : { ...s, topics: [] })),
+  }),
+
+  // 3 -> 4: named timer presets; existing durations keep working as a custom setup
+  (db) => ({
+    ...db,
+    timer: { ...(db.timer || {}), presets: DEFAULT_PRESETS, presetId: matchPreset({ ...defaultDB().timer, ...(db.timer || {}) }) },
+  }),
+
+  // 4 -> 5: reminder rules replace the single once-a-day due notification
+  (db) => {
+    const next = { ...db, reminders: DEFAULT_REMINDERS, reminderHistory: historyFromLastNotify(db.lastDueNotifyDay) };
+    delete next.lastDueNotifyDay;
+    return next;
+  },
+
+  // 5 -> 6: day keys are local dates. Re-key only what was written from the old UTC-based
+  // day: note and studied-day keys, topics' review dates (set by the scheduler alone) and
+  // the plan's day. Exam and subject review dates can be typed into a date input, so
+  // they were already local and stay as they are.
+  (db) => {
+    const rekey = (map) => Object.fromEntries(Object.entries(map || {}).map(([k, v]) => [fromLegacyDay(k), v]));
+    const fix = (day) => (day ? fromLegacyDay(day) : day);
+    return {
+      ...db,
+      calendarNotes: rekey(db.calendarNotes),
+      manualStudied: rekey(db.manualStudied),
+      subjects: (db.subjects || []).map((s) => ({
+        ...s,
+        topics: (s.topics || []).map((t) => ({ ...t, nextReviewDate: fix(t.nextReviewDate) })),
+      })),
+      dailyPlan: db.dailyPlan ? { ...db.dailyPlan, day: fix(db.dailyPlan.day) } : db.dailyPlan,
+    };
+  },
+
+  // 6 -> 7: subjects split into topics carry their topics' rollup (ease, interval,
+  // repetitions, lapses), not the values they had when they were split
+  (db) => ({ ...db, subjects: (db.subjects || []).map(rollupSubject) }),
+];
+
+export const SCHEMA_VERSION = MIGRATIONS.length;
+
+export function migrate(raw) {
+  let db = raw && typeof raw === "object" ? raw : {};
+  const from = Number(db.schemaVersion || 0);
+
+  // written by a newer build: leave it alone rather than guess at a downgrade
+  if (from > SCHEMA_VERSION) return db;
+
+  for (let v = from; v < SCHEMA_VERSION; v++) db = MIGRATIONS[v](db);
+
+  const fresh = defaultDB();
+  return {
+    ...fresh,
+    ...db,
+    timer: { ...fresh.timer, ...(db.timer || {}) },
+    scheduling: { ...fresh.scheduling, ...(db.scheduling || {}) },
+    streak: { ...fresh.streak, ...(db.streak || {}) },
+    schemaVersion: SCHEMA_VERSION,
+  };
+}
+
+/** ---------- persistence ---------- */
+// Once hydrate() succeeds, sessions and calendar notes are written record-by-record
+// to IndexedDB and only the small settings blob goes to localStorage.
+// Every save is diffed against `base` (what this tab last read or wrote) into ops,
+// which are applied to the freshest stored blob and broadcast to other tabs.
+let backend = "local"; // local | indexeddb | unavailable
+let base = null;
+let writeQueue = Promise.resolve();
+
+const errorListeners = new Set();
+
+export function onStorageError(fn) {
+  errorListeners.add(fn);
+  return () => errorListeners.delete(fn);
+}
+
+function reportError(err) {
+  errorListeners.forEach((fn) => fn(err));
+}
+
+export function storageErrorMessage(err) {
+  if (err?.name === "QuotaExceededError" || err?.code === 22) {
+    return "Browser storage is full — your latest changes were not saved. Export a backup to keep them safe.";
+  }
+  return `Couldn’t save your data (${err?.message || "unknown error"}).`;
+}
+
+function readRaw() {
+  const raw = localStorage.getItem(KEY);
+  if (raw) return { raw, legacyKey: "" };
+
+  for (const legacyKey of LEGACY_KEYS) {
+    const old = localStorage.getItem(legacyKey);
+    if (old) return { raw: old, legacyKey };
+  }
+  return { raw: null, legacyKey: "" };
+}
+
+// Loads the IndexedDB-backed parts of the db. Blobs that still carry their history
+// inline (older builds, or no IndexedDB last time) are the source of truth: IndexedDB
+// is replaced with their copy, so whatever it held from before (sessions deleted since,
+// a history from before localStorage was cleared) can't come back.
+async function hydrate(db) {
+  if (!idbSupported()) return db;
+
+  try {
+    if (db.sessionStore !== "indexeddb") {
+      const sessions = db.sessions || [];
+      const calendarNotes = db.calendarNotes || {};
+      await writeChanges({ clear: true, sessionPuts: sessions, notePuts: Object.entries(calendarNotes) });
+      backend = "indexeddb";
+      return { ...db, sessions, calendarNotes, sessionStore: "indexeddb" };
+    }
+
+    const [sessions, calendarNotes] = await Promise.all([getAllSessions(), getAllNotes()]);
+    backend = "indexeddb";
+    return { ...db, sessions, calendarNotes, sessionStore: "indexeddb" };
+  } catch (err) {
+    // history already lives in IndexedDB but can't be read: never let a save overwrite it
+    if (db.sessionStore === "indexeddb") {
+      backend = "unavailable";
+      reportError(err);
+    }
+    return db;
+  }
+}
+
+// Reads settings + history, runs migrations over the whole thing and persists the result.
+export async function openDB() {
+  let stored = null;
+  let legacyKey = "";
+  try {
+    const found = readRaw();
+    legacyKey = found.legacyKey;
+    stored = found.raw ? JSON.parse(found.raw) : null;
+  } catch {
+    stored = null;
+  }
+
+  const hydrated = await hydrate(stored && typeof stored === "object" ? stored : defaultDB());
+  base = hydrated;
+  const db = migrate(hydrated);
+
+  // unchanged records keep their identity through migrate(), so this only writes what moved;
+  // a legacy key or history that just moved into IndexedDB needs the whole blob rewritten
+  const moved = (stored?.sessionStore || "local") !== blobOf(db).sessionStore;
+  const ok = saveDB(db, { force: !!legacyKey || moved });
+  if (ok && legacyKey) localStorage.removeItem(legacyKey);
+  return db;
+}
+
+// settings as they go to localStorage: history is left out once it lives in IndexedDB
+function blobOf(db) {
+  if (backend === "local") return { ...db, sessionStore: "local" };
+  const blob = { ...db, sessionStore: "indexeddb" };
+  delete blob.sessions;
+  delete blob.calendarNotes;
+  return blob;
+}
+
+function readStored() {
+  try {
+    const raw = localStorage.getItem(KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+}
+
+function writeBlob(db) {
+  try {
+    localStorage.setItem(KEY, JSON.stringify(blobOf(db)));
+    return true;
+  } catch (err) {
+    reportError(err);
+    return false;
+  }
+}
+
+// Applies ops to the latest stored blob, so another tab's writes since our last read survive.
+function writeSettings(ops, fallback) {
+  return writeBlob(applyOps(readStored() || blobOf(fallback), ops));
+}
+
+function idbChanges(ops) {
+  const changes = { sessionPuts: [], sessionDeletes: [], notePuts: [], noteDeletes: [] };
+  for (const o of ops) {
+    if (o.key === "sessions" && o.op === "put") changes.sessionPuts.push(o.value);
+    else if (o.key === "sessions" && o.op === "del") changes.sessionDeletes.push(o.id);
+    else if (o.key === "calendarNotes" && o.op === "setEntry") changes.notePuts.push([o.k, o.value]);
+    else if (o.key === "calendarNotes" && o.op === "delEntry") changes.noteDeletes.push(o.k);
+  }
+  return changes;
+}
+
+// `force` writes the whole blob, e.g. when moving off a legacy key.
+export function saveDB(db, { force = false } = {}) {
+  const prev = base;
+  const ops = diffOps(prev, db);
+  base = db;
+  if (!ops.length && !force) return true;
+
+  const ok = force ? writeBlob(db) : writeSettings(ops, prev || db);
+  broadcast({ type: "ops", ops });
+  if (backend !== "indexeddb") return ok;
+
+  const changes = idbChanges(ops);
+  const count =
+    changes.sessionPuts.length +
+    changes.sessionDeletes.length +
+    changes.notePuts.length +
+    changes.noteDeletes.length;
+  if (count) {
+    // chained so writes land in the order they were made
+    writeQueue = writeQueue.then(() => writeChanges(changes)).catch(reportError);
+  }
+  return ok;
+}
+
+// Sessions whose own local day is within [from, to] (either may be ""), oldest first.
+// Once history lives in IndexedDB they come from its completedAt index, after this tab's
+// queued writes have landed; otherwise, or if the read fails, from `inMemory`.
+export async function loadSessionRange({ from = "", to = "" }, inMemory = []) {
+  const inRange = (s) => {
+    const day = sessionDay(s);
+    return (!from || day >= from) && (!to || day <= to);
+  };
+  if (backend !== "indexeddb") return inMemory.filter(inRange);
+  try {
+    await writeQueue;
+    return (await querySessions({ from, to })).filter(inRange);
+  } catch {
+    return inMemory.filter(inRange);
+  }
+}
+
+// Changes made in other tabs. `fn` gets an updater to run over the current db:
+// ops from the BroadcastChannel, or the re-read settings when localStorage changes.
+export function onRemoteChange(fn) {
+  const offOps = onBroadcast((msg) => {
+    if (msg.type !== "ops") return;
+    base = base && applyOps(base, msg.ops);
+    fn((db) => applyOps(db, msg.ops));
+  });
+
+  const onStorage = (e) => {
+    if (e.key !== KEY || !e.newValue) return;
+    let stored;
+    try {
+      stored = JSON.parse(e.newValue);
+    } catch {
+      return;
+    }
+    // history in IndexedDB isn't in the blob; those records arrive as ops instead
+    const reload = (db) => {
+      const next = migrate(stored);
+      return backend === "indexeddb" ? { ...next, sessions: db.sessions, calendarNotes: db.calendarNotes } : next;
+    };
+    base = base && reload(base);
+    fn(reload);
+  };
+  window.addEventListener("storage", onStorage);
+
+  return () => {
+    offOps();
+    window.removeEventListener("storage", onStorage);
+  };
+}
@@ -0,0 +1,58 @@
+import { addDays, dayOf } from "./dates";
+import { isPartial } from "./sessions";
+
+/** ---------- streaks ---------- */
+// Current and longest streak come from one pass over the whole history, so the longest
+// one is never lost. Today only breaks the streak once it is over (the grace period), and
+// a missed day can be covered by a freeze token, earned every few days the goal is met.
+
+export const FREEZE_EVERY = 5; // goal-met days per freeze token
+export const MAX_FREEZES = 2;
+export const MAX_ROLLOVER_HOUR = 6;
+
+// The study day a moment belongs to: before the rollover hour it still counts as the
+// previous day, so a session at 1am keeps last night's streak going.
+export function studyDay(at, rolloverHour = 0, timeZone = "") {
+  return dayOf(new Date(at).getTime() - rolloverHour * 3600000, timeZone);
+}
+
+// { day: completed } per study day; a day with only partial sessions is studied with 0
+// completed, and a manual "studied" tick counts as one, like today's goal does.
+export function studyDayCounts(sessions, manualStudied, rolloverHour = 0) {
+  const counts = {};
+  for (const s of sessions) {
+    const day = studyDay(s.completedAt, rolloverHour, s.timeZone);
+    counts[day] = (counts[day] || 0) + (isPartial(s) ? 0 : 1);
+  }
+  for (const [day, studied] of Object.entries(manualStudied || {})) {
+    if (studied) counts[day] = (counts[day] || 0) + 1;
+  }
+  return counts;
+}
+
+// Past days are judged against today's goal; the goal's history isn't kept.
+export function streakStats({ counts, today, goal = 1, freezes = true }) {
+  const days = Object.keys(counts).filter((d) => d <= today).sort();
+  const out = { current: 0, longest: 0, tokens: 0, frozenDays: [], studiedToday: today in counts };
+  if (!days.length) return out;
+
+  let goalDays = 0;
+  for (let day = days[0]; day <= today; day = addDays(day, 1)) {
+    if (day in counts) {
+      out.current += 1;
+      out.longest = Math.max(out.longest, out.current);
+      if (counts[day] >= goal) {
+        goalDays += 1;
+        if (goalDays % FREEZE_EVERY === 0) out.tokens = Math.min(MAX_FREEZES, out.tokens + 1);
+      }
+    } else if (day === today) {
+      // still time to study today
+    } else if (freezes && out.tokens > 0 && out.current > 0) {
+      out.tokens -= 1;
+      out.frozenDays.push(day);
+    } else {
+      out.current = 0;
+    }
+  }
+  return out;
+}
@@ -0,0 +1,83 @@
+import { addDays, daysBetween, weekdayOf } from "./dates";
+import { isPartial, sessionDay } from "./sessions";
+
+/** ---------- plan until exams ---------- */
+// Spreads each subject's remaining Pomodoros over the days left before its exam.
+// Nothing is stored: the plan is rebuilt from today and the sessions done so far,
+// so a missed day pushes its blocks forward and an extra session shrinks what's left.
+
+export const DEFAULT_TARGET_POMODOROS = 20;
+export const DEFAULT_WEEKDAY_MINUTES = [60, 120, 120, 120, 120, 120, 60]; // Sun..Sat
+const MAX_DAYS = 366;
+
+export function targetPomodoros(subject) {
+  return Number(subject.targetPomodoros ?? DEFAULT_TARGET_POMODOROS);
+}
+
+function slotsOn(day, weekdayMinutes, pomodoroMin) {
+  const min = Number(weekdayMinutes?.[weekdayOf(day)] ?? 0);
+  return Math.max(0, Math.floor(min / Math.max(1, pomodoroMin)));
+}
+
+// Returns { days: { "YYYY-MM-DD": [{subjectId, count}] }, subjects: [{subjectId, target, done, remaining, planned, shortfall}] }.
+// Today only gets the slots not already used by today's sessions.
+export function buildStudyPlan({ subjects, sessions, today, weekdayMinutes = DEFAULT_WEEKDAY_MINUTES, pomodoroMin = 25 }) {
+  const doneBy = {};
+  let doneToday = 0;
+  for (const s of sessions) {
+    if ((s.type || "pomodoro") !== "pomodoro" || isPartial(s)) continue;
+    doneBy[s.subjectId] = (doneBy[s.subjectId] || 0) + 1;
+    if (sessionDay(s) === today) doneToday += 1;
+  }
+
+  const rows = subjects
+    .filter((s) => !s.archived && s.examDate && s.examDate > today)
+    .map((s) => {
+      const target = targetPomodoros(s);
+      const done = doneBy[s.id] || 0;
+      return { subjectId: s.id, examDate: s.examDate, target, done, remaining: Math.max(0, target - done), planned: 0 };
+    });
+
+  const days = {};
+  const last = rows.reduce((max, r) => (r.examDate > max ? r.examDate : max), today);
+  const horizon = Math.min(MAX_DAYS, daysBetween(today, last));
+
+  // slots[i] = free Pomodoros on today + i; suffix sums give what's left before each exam
+  const slots = [];
+  for (let i = 0; i < horizon; i++) {
+    const n = slotsOn(addDays(today, i), weekdayMinutes, pomodoroMin);
+    slots.push(i === 0 ? Math.max(0, n - doneToday) : n);
+  }
+  const suffix = new Array(horizon + 1).fill(0);
+  for (let i = horizon - 1; i >= 0; i--) suffix[i] = suffix[i + 1] + slots[i];
+  const slotsLeft = (from, examDate) => suffix[from] - suffix[Math.min(horizon, daysBetween(today, examDate))];
+
+  for (let i = 0; i < horizon; i++) {
+    const day = addDays(today, i);
+    const counts = {};
+    for (let k = 0; k < slots[i]; k++) {
+      // give the slot to whoever has the most work per remaining slot before their exam
+      let best = null;
+      let bestLoad = 0;
+      for (const r of rows) {
+        if (r.remaining - r.planned <= 0 || day >= r.examDate) continue;
+        const left = slotsLeft(i, r.examDate) - k;
+        const load = (r.remaining - r.planned) / Math.max(1, left);
+        if (!best || load > bestLoad) {
+          best = r;
+          bestLoad = load;
+        }
+      }
+      if (!best) break;
+      best.planned += 1;
+      counts[best.subjectId] = (counts[best.subjectId] || 0) + 1;
+    }
+    const blocks = Object.entries(counts).map(([subjectId, count]) => ({ subjectId, count }));
+    if (blocks.length) days[day] = blocks;
+  }
+
+  return {
+    days,
+    subjects: rows.map((r) => ({ ...r, shortfall: r.remaining - r.planned })),
+  };
+}
@@ -0,0 +1,156 @@
+import { dayOf } from "./dates";
+import { newSchedule } from "./scheduler";
+import { newTopic } from "./topics";
+
+/** ---------- bulk subject import (CSV / .ics timetables) ---------- */
+// Both formats are turned into plain rows { name, examDate, color, topics }, checked
+// against the subjects already in the app, and only then turned into real subjects
+// with the same default review fields "Add Subject" gives them.
+
+export const IMPORT_FIELDS = {
+  name: "Name",
+  examDate: "Exam date",
+  color: "Color",
+  topics: "Topics",
+};
+
+// header cells that map to a field without the user having to pick it
+const HEADER_HINTS = {
+  name: ["name", "subject", "course", "title", "summary"],
+  examDate: ["examdate", "exam", "date", "examday"],
+  color: ["color", "colour"],
+  topics: ["topics", "topic", "chapters"],
+};
+
+const nameKey = (name) => String(name || "").trim().toLowerCase();
+
+// "YYYY-MM-DD", "YYYY/M/D", "YYYYMMDD" or a full ISO timestamp; anything else is ""
+export function normalizeDate(value) {
+  const v = String(value || "").trim();
+  const m = v.match(/^(\d{4})[-/]?(\d{1,2})[-/]?(\d{1,2})(?:$|[T ])/);
+  if (!m) return "";
+  const [y, mo, d] = [Number(m[1]), Number(m[2]), Number(m[3])];
+  const check = new Date(y, mo - 1, d);
+  if (check.getMonth() !== mo - 1 || check.getDate() !== d) return "";
+  return `${m[1]}-${String(mo).padStart(2, "0")}-${String(d).padStart(2, "0")}`;
+}
+
+function normalizeColor(value) {
+  const v = String(value || "").trim();
+  return /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(v) ? v.toLowerCase() : "";
+}
+
+/** ---------- CSV ---------- */
+// { mapping: { field: column | -1 }, hasHeader }. Without a recognisable header the
+// columns are taken in the documented order: name, examDate, color, topics.
+export function guessMapping(table) {
+  const header = (table[0] || []).map((c) => c.trim().toLowerCase().replace(/[^a-z]/g, ""));
+  const mapping = {};
+  for (const [field, hints] of Object.entries(HEADER_HINTS)) {
+    mapping[field] = header.findIndex((h, i) => hints.includes(h) && !Object.values(mapping).includes(i));
+  }
+  if (mapping.name >= 0) return { mapping, hasHeader: true };
+
+  const width = Math.max(0, ...table.map((r) => r.length));
+  const positional = {};
+  Object.keys(IMPORT_FIELDS).forEach((field, i) => (positional[field] = i < width ? i : -1));
+  return { mapping: positional, hasHeader: false };
+}
+
+export function csvRows(table, { mapping, hasHeader }) {
+  const cell = (row, field) => (mapping[field] >= 0 ? String(row[mapping[field]] ?? "").trim() : "");
+  return table.slice(hasHeader ? 1 : 0).map((row) => ({
+    name: cell(row, "name"),
+    examDate: normalizeDate(cell(row, "examDate")),
+    rawDate: cell(row, "examDate"),
+    color: normalizeColor(cell(row, "color")),
+    topics: cell(row, "topics")
+      .split(/[;|]/)
+      .map((t) => t.trim())
+      .filter(Boolean),
+  }));
+}
+
+/** ---------- iCalendar ---------- */
+function unescapeText(v) {
+  return v.replace(/\\n/gi, " ").replace(/\\([,;\\])/g, "$1").trim();
+}
+
+// One row per VEVENT: SUMMARY is the name, DTSTART's day the exam date. A UTC time is
+// moved to this device's day; a floating or TZID time keeps the date it was written with.
+// Review and session events from our own export are left out.
+export function icsRows(text) {
+  const lines = String(text || "")
+    .replace(/\r\n?/g, "\n")
+    .replace(/\n[ \t]/g, "")
+    .split("\n");
+
+  const rows = [];
+  let ev = null;
+  for (const line of lines) {
+    if (line === "BEGIN:VEVENT") ev = {};
+    else if (line === "END:VEVENT") {
+      if (ev && !/^(review|session)-.*@studypace\.app$/.test(ev.uid || "")) {
+        const start = ev.dtstart || "";
+        const examDate = /T\d{6}Z$/.test(start)
+          ? dayOf(start.replace(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/, "$1-$2-$3T$4:$5:$6Z"))
+          : normalizeDate(start);
+        const name = (ev.summary || "").replace(/^🎓\s*/u, "").replace(/\s+exam$/i, "");
+        rows.push({ name, examDate, rawDate: start, color: "", topics: [] });
+      }
+      ev = null;
+    } else if (ev) {
+      const colon = line.indexOf(":");
+      if (colon < 0) continue;
+      const prop = line.slice(0, colon).split(";")[0].toUpperCase();
+      const value = line.slice(colon + 1);
+      if (prop === "SUMMARY") ev.summary = unescapeText(value);
+      else if (prop === "DTSTART") ev.dtstart = value.trim();
+      else if (prop === "UID") ev.uid = value.trim();
+    }
+  }
+  return rows;
+}
+
+/** ---------- preview and apply ---------- */
+// Adds { status, issue, match } to each row: "new", "duplicate" (same name as an existing
+// subject or an earlier row) or "invalid" (no name or no readable exam date).
+export function checkImportRows(rows, subjects) {
+  const existing = new Map(subjects.map((s) => [nameKey(s.name), s]));
+  const seen = new Set();
+  return rows.map((r) => {
+    const key = nameKey(r.name);
+    if (!key) return { ...r, status: "invalid", issue: "No name" };
+    if (!r.examDate) return { ...r, status: "invalid", issue: r.rawDate ? `Unreadable date “${r.rawDate}”` : "No exam date" };
+    if (seen.has(key)) return { ...r, status: "duplicate", issue: "Repeated in this file" };
+    seen.add(key);
+    const match = existing.get(key);
+    if (match) return { ...r, status: "duplicate", issue: `Already exists (exam ${match.examDate || "—"})`, match };
+    return { ...r, status: "new", issue: "" };
+  });
+}
+
+// { subjects, added, updated }: checked rows become subjects; with updateExisting, a
+// duplicate of an existing subject moves that subject's exam date instead of being skipped.
+export function applySubjectImport(subjects, checked, { today, include, updateExisting, pickColor }) {
+  const updates = new Map();
+  const added = [];
+  checked.forEach((r, i) => {
+    if (!include(i)) return;
+    if (r.status === "new") {
+      added.push({
+        id: crypto.randomUUID(),
+        name: r.name.trim(),
+        examDate: r.examDate,
+        color: r.color || pickColor(),
+        ...newSchedule(today),
+        topics: r.topics.map((t) => newTopic(t, today)),
+      });
+    } else if (r.status === "duplicate" && r.match && updateExisting) {
+      updates.set(r.match.id, r.examDate);
+    }
+  });
+
+  const next = subjects.map((s) => (updates.has(s.id) ? { ...s, examDate: updates.get(s.id) } : s));
+  return { subjects: [...next, ...added], added: added.length, updated: updates.size };
+}
@@ -0,0 +1,101 @@
+/** ---------- multi-tab sync ---------- */
+// Saves are turned into small operations (put/delete a record, set a key) that are
+// applied on top of whatever is stored and broadcast to the other open tabs, so two
+// tabs merge their changes instead of the last full write winning.
+
+export const TAB_ID = crypto.randomUUID();
+
+const RECORD_KEYS = ["subjects", "sessions"]; // arrays of {id, ...}
+const MAP_KEYS = ["calendarNotes", "manualStudied"]; // { key: value }
+
+function diffRecords(key, prev = [], next = []) {
+  if (prev === next) return [];
+  const before = new Map(prev.map((x) => [x.id, x]));
+  const keep = new Set(next.map((x) => x.id));
+  return [
+    // records are replaced immutably, so an identity check finds every edit
+    ...next.filter((x) => before.get(x.id) !== x).map((value) => ({ op: "put", key, value })),
+    ...prev.filter((x) => !keep.has(x.id)).map((x) => ({ op: "del", key, id: x.id })),
+  ];
+}
+
+function diffMap(key, prev = {}, next = {}) {
+  if (prev === next) return [];
+  return [
+    ...Object.entries(next)
+      .filter(([k, v]) => prev[k] !== v)
+      .map(([k, value]) => ({ op: "setEntry", key, k, value })),
+    ...Object.keys(prev)
+      .filter((k) => !(k in next))
+      .map((k) => ({ op: "delEntry", key, k })),
+  ];
+}
+
+export function diffOps(prev, next) {
+  if (!prev) return Object.keys(next).map((key) => ({ op: "set", key, value: next[key] }));
+
+  const ops = [];
+  for (const key of new Set([...Object.keys(prev), ...Object.keys(next)])) {
+    if (RECORD_KEYS.includes(key)) ops.push(...diffRecords(key, prev[key], next[key]));
+    else if (MAP_KEYS.includes(key)) ops.push(...diffMap(key, prev[key], next[key]));
+    else if (prev[key] !== next[key] && JSON.stringify(prev[key]) !== JSON.stringify(next[key])) {
+      ops.push({ op: "set", key, value: next[key] });
+    }
+  }
+  return ops;
+}
+
+// Applies ops in order. Untouched keys keep their identity.
+export function applyOps(db, ops) {
+  const next = { ...db };
+  const copied = new Set();
+  const own = (key, empty) => {
+    if (!copied.has(key)) {
+      next[key] = Array.isArray(empty) ? [...(next[key] || [])] : { ...(next[key] || {}) };
+      copied.add(key);
+    }
+    return next[key];
+  };
+
+  for (const o of ops) {
+    if (o.op === "set") {
+      next[o.key] = o.value;
+      copied.delete(o.key);
+    } else if (o.op === "put") {
+      const list = own(o.key, []);
+      const i = list.findIndex((x) => x.id === o.value.id);
+      if (i === -1) list.push(o.value);
+      else list[i] = o.value;
+    } else if (o.op === "del") {
+      const list = own(o.key, []);
+      const i = list.findIndex((x) => x.id === o.id);
+      if (i !== -1) list.splice(i, 1);
+    } else if (o.op === "setEntry") {
+      own(o.key, {})[o.k] = o.value;
+    } else if (o.op === "delEntry") {
+      delete own(o.key, {})[o.k];
+    }
+  }
+  return next;
+}
+
+/** ---------- BroadcastChannel ---------- */
+let channel = null;
+const listeners = new Set();
+
+function getChannel() {
+  if (channel || typeof BroadcastChannel === "undefined") return channel;
+  channel = new BroadcastChannel("studypace");
+  channel.onmessage = (e) => listeners.forEach((fn) => fn(e.data));
+  return channel;
+}
+
+export function broadcast(msg) {
+  getChannel()?.postMessage({ ...msg, from: TAB_ID });
+}
+
+export function onBroadcast(fn) {
+  getChannel();
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
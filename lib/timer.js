@@ -0,0 +1,92 @@
+import { localTimeZone } from "./dates";
+
+/** ---------- wall-clock timer ---------- */
+// A running countdown is kept as its end timestamp (ms) rather than a tick count,
+// so throttled background tabs, suspends and reloads can't make it drift.
+// Flow mode counts up instead, from the moment it would have read 0:00 (zeroAt).
+
+export function remainingSeconds(endsAt, now = Date.now()) {
+  return Math.max(0, Math.ceil((endsAt - now) / 1000));
+}
+
+export function elapsedSeconds(zeroAt, now = Date.now()) {
+  return Math.max(0, Math.floor((now - zeroAt) / 1000));
+}
+
+/** ---------- presets + flow ---------- */
+export const DEFAULT_PRESETS = [
+  { id: "classic", name: "Classic 25/5", pomodoroMin: 25, shortMin: 5, longMin: 15 },
+  { id: "50-10", name: "50/10", pomodoroMin: 50, shortMin: 10, longMin: 30 },
+  { id: "90-20", name: "90/20", pomodoroMin: 90, shortMin: 20, longMin: 30 },
+];
+
+// id of the preset whose durations match the timer settings, or "" for custom ones
+export function matchPreset(timer, presets = DEFAULT_PRESETS) {
+  const hit = presets.find(
+    (p) =>
+      Number(p.pomodoroMin) === Number(timer?.pomodoroMin) &&
+      Number(p.shortMin) === Number(timer?.shortMin) &&
+      Number(p.longMin) === Number(timer?.longMin)
+  );
+  return hit?.id || "";
+}
+
+// Flowtime: the break grows with the focus stretch, 1 minute per 5 studied
+const FLOW_BREAK_RATIO = 0.2;
+
+export function flowBreakSeconds(focusedSec) {
+  const min = Math.round((focusedSec * FLOW_BREAK_RATIO) / 60);
+  return Math.max(1, Math.min(30, min)) * 60;
+}
+
+export const PAUSE_REASONS = ["Phone", "Someone interrupted", "Break", "Distracted", "Other"];
+export const MIN_PARTIAL_SEC = 60; // shorter abandoned Pomodoros aren't worth logging
+
+// addedSec: extra time from the +1/+5 buttons; interruptions: one {at, reason} per pause
+export function idleClock() {
+  return { startedAt: 0, endsAt: 0, zeroAt: 0, addedSec: 0, interruptions: [] };
+}
+
+// time actually counted down, i.e. spent running
+export function focusedSeconds(total, clock, seconds) {
+  return Math.max(0, total + (clock.addedSec || 0) - seconds);
+}
+
+// What gets persisted as db.activeTimer: a running or part-way paused timer, else null.
+// `remaining` is what the display showed when paused (time studied, in flow mode);
+// `owner` is the tab running it.
+export function timerSnapshot({ owner, mode, running, seconds, total, clock, subjectId, topicId, note }) {
+  const { startedAt, endsAt, zeroAt, addedSec, interruptions } = clock;
+  const base = { owner, mode, total, subjectId, topicId, note, startedAt, addedSec, interruptions };
+  if (running && (endsAt || zeroAt)) return { ...base, endsAt, zeroAt, remaining: 0 };
+  const partWay = mode === "flow" ? seconds > 0 : seconds > 0 && seconds < total + addedSec;
+  if (partWay) return { ...base, endsAt: 0, zeroAt: 0, remaining: seconds };
+  return null;
+}
+
+// endedBy: "" for a finished Pomodoro, else how it was abandoned (skip | reset | switch)
+export function sessionFromTimer({ subjectId, topicId, note, clock, focusedSec, endedAt, endedBy = "", mode, presetId }) {
+  return {
+    id: crypto.randomUUID(),
+    subjectId,
+    topicId,
+    type: "pomodoro",
+    mode, // pomodoro | flow
+    presetId, // "" when the durations were customised
+
+    minutes: Math.round(focusedSec / 60),
+    focusedSec,
+    pauses: clock.interruptions.length,
+    interruptions: clock.interruptions,
+    partial: !!endedBy,
+    endedBy,
+    startedAt: clock.startedAt ? new Date(clock.startedAt).toISOString() : "",
+    completedAt: new Date(endedAt).toISOString(),
+    timeZone: localTimeZone(),
+    note: note.trim(),
+  };
+}
+
+export function sameSnapshot(a, b) {
+  return JSON.stringify(a || null) === JSON.stringify(b || null);
+}
@@ -0,0 +1,94 @@
+import { isDue, newSchedule, projectReviews, replaySchedule, scheduleState } from "./scheduler";
+
+/** ---------- topics (chapters inside a subject) ---------- */
+// A subject with topics is reviewed topic by topic; its own schedule fields are kept
+// as a rollup of its topics so subject-level lists, calendars and readiness stay correct.
+
+export function newTopic(name, today) {
+  return { id: crypto.randomUUID(), name: name.trim(), ...newSchedule(today) };
+}
+
+export function hasTopics(subject) {
+  return Array.isArray(subject.topics) && subject.topics.length > 0;
+}
+
+export function dueTopics(subject, today) {
+  if (subject.archived || !hasTopics(subject)) return [];
+  return subject.topics.filter((t) => (t.nextReviewDate || today) <= today);
+}
+
+// how many review items a subject contributes to "Due Today"
+export function dueCount(subject, today) {
+  if (hasTopics(subject)) return dueTopics(subject, today).length;
+  return isDue(subject, today) ? 1 : 0;
+}
+
+// earliest review date, mean ease, shortest interval, total repetitions and lapses
+export function rollupSubject(subject) {
+  if (!hasTopics(subject)) return subject;
+  const state = subject.topics.map(scheduleState);
+  const earliest = state.reduce(
+    (min, t) => (t.nextReviewDate && (!min || t.nextReviewDate < min) ? t.nextReviewDate : min),
+    ""
+  );
+  return {
+    ...subject,
+    ...(earliest ? { nextReviewDate: earliest } : {}),
+    ease: Math.round((state.reduce((n, t) => n + t.ease, 0) / state.length) * 100) / 100,
+    intervalDays: Math.min(...state.map((t) => t.intervalDays)),
+    repetitions: state.reduce((n, t) => n + t.repetitions, 0),
+    lapses: state.reduce((n, t) => n + t.lapses, 0),
+  };
+}
+
+export function updateTopic(subject, topicId, patch) {
+  return rollupSubject({
+    ...subject,
+    topics: subject.topics.map((t) => (t.id === topicId ? { ...t, ...patch } : t)),
+  });
+}
+
+// topic to suggest in the timer: first due one in chapter order, else the one due soonest
+export function suggestTopic(subject, today) {
+  if (!hasTopics(subject)) return null;
+  const due = dueTopics(subject, today);
+  if (due.length) return due[0];
+  return [...subject.topics].sort((a, b) => (a.nextReviewDate || "").localeCompare(b.nextReviewDate || ""))[0];
+}
+
+// { day: [{subjectId, topicId, projected}] } up to `until`: each review item's scheduled
+// nextReviewDate (today when overdue), then the projected ones after it
+export function reviewCalendar(subjects, { today, until, cramWindowDays }) {
+  const days = {};
+  const add = (day, item) => (days[day] ||= []).push(item);
+  for (const s of subjects) {
+    if (s.archived) continue;
+    const items = hasTopics(s)
+      ? s.topics.map((t) => ({ state: scheduleState(t), topicId: t.id }))
+      : [{ state: scheduleState(s), topicId: "" }];
+    for (const { state, topicId } of items) {
+      const due = !state.nextReviewDate || state.nextReviewDate < today ? today : state.nextReviewDate;
+      if (due <= until) add(due, { subjectId: s.id, topicId, projected: false });
+      for (const day of projectReviews(state, { today, until, examDate: s.examDate, cramWindowDays })) {
+        add(day, { subjectId: s.id, topicId, projected: true });
+      }
+    }
+  }
+  return days;
+}
+
+// After sessions were edited, logged or deleted: rebuilds each touched review item
+// ({ subjectId, topicId }) from its graded sessions. One with none left starts over, due today.
+export function rescheduleItems(subjects, sessions, touched, { today, cramWindowDays }) {
+  let next = subjects;
+  for (const { subjectId, topicId = "" } of touched) {
+    next = next.map((s) => {
+      if (s.id !== subjectId) return s;
+      const topical = hasTopics(s);
+      if (topical !== !!topicId || (topical && !s.topics.some((t) => t.id === topicId))) return s;
+      const state = replaySchedule(s, sessions, { topicId, cramWindowDays }) || newSchedule(today);
+      return topicId ? updateTopic(s, topicId, state) : { ...s, ...state };
+    });
+  }
+  return next;
+}
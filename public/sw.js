@@ -0,0 +1,124 @@
+/** ---------- StudyPace service worker ---------- */
+// Caches the app shell so the app opens offline, and registers notifications the page
+// hands over (timer end, reminders) with the browser so they show even when its tab is hidden.
+
+// bumped when what gets cached changes, so activate drops the old entries
+const CACHE = "studypace-v2";
+const SHELL = ["/", "/manifest.webmanifest", "/icon-192.png", "/icon-512.png"];
+const ICON = "/icon-192.png";
+
+self.addEventListener("install", (e) => {
+  e.waitUntil(
+    caches
+      .open(CACHE)
+      .then((cache) => cache.addAll(SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (e) => {
+  e.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((k) => k !== CACHE).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+/** ---------- offline cache ---------- */
+async function networkFirst(req, fallbackUrl) {
+  const cache = await caches.open(CACHE);
+  try {
+    const res = await fetch(req);
+    if (res.ok) cache.put(fallbackUrl || req, res.clone());
+    return res;
+  } catch {
+    return (await cache.match(fallbackUrl || req)) || Response.error();
+  }
+}
+
+async function cacheFirst(req) {
+  const cache = await caches.open(CACHE);
+  const hit = await cache.match(req);
+  if (hit) return hit;
+  const res = await fetch(req);
+  if (res.ok) cache.put(req, res.clone());
+  return res;
+}
+
+async function staleWhileRevalidate(req, e) {
+  const cache = await caches.open(CACHE);
+  const hit = await cache.match(req);
+  const fresh = fetch(req)
+    .then((res) => {
+      if (res.ok) cache.put(req, res.clone());
+      return res;
+    })
+    .catch(() => hit || Response.error());
+  e.waitUntil(fresh.then(() => {}));
+  return hit || fresh;
+}
+
+self.addEventListener("fetch", (e) => {
+  const req = e.request;
+  if (req.method !== "GET") return;
+  const url = new URL(req.url);
+  if (url.origin !== self.location.origin) return;
+
+  // the app is a single page: any navigation falls back to the cached shell
+  if (req.mode === "navigate") e.respondWith(networkFirst(req, "/"));
+  // build output is content-hashed, so a cached copy never goes stale
+  else if (url.pathname.startsWith("/_next/static/")) e.respondWith(cacheFirst(req));
+  // icons and the manifest; RSC payloads, /_next/data and the rest always go to the network
+  else if (SHELL.includes(url.pathname) && !url.search && !req.headers.has("RSC")) {
+    e.respondWith(staleWhileRevalidate(req, e));
+  }
+});
+
+/** ---------- scheduled notifications ---------- */
+// Only Notification Triggers can show a notification later: the browser holds it and
+// shows it on time even after this worker is stopped. Without them nothing is scheduled
+// here, and the page notifies when the time comes, as it does whenever it's open.
+
+function canTrigger() {
+  return "showTrigger" in Notification.prototype && typeof TimestampTrigger === "function";
+}
+
+// the slot is kept on the notification itself, since this worker may have restarted since
+async function cancel(slot) {
+  if (!canTrigger()) return;
+  // a triggered notification that hasn't fired yet is still listed; shown ones are left alone
+  const list = await self.registration.getNotifications({ includeTriggered: true });
+  list.filter((n) => n.data?.slot === slot && n.timestamp > Date.now()).forEach((n) => n.close());
+}
+
+async function schedule({ slot, at, title, body, tag }) {
+  if (!canTrigger()) return;
+  await cancel(slot);
+  await self.registration.showNotification(title, {
+    body,
+    tag,
+    icon: ICON,
+    badge: ICON,
+    data: { slot },
+    timestamp: at,
+    showTrigger: new TimestampTrigger(at),
+  });
+}
+
+// waitUntil only covers handing the notification to the browser, which is quick
+self.addEventListener("message", (e) => {
+  const msg = e.data || {};
+  if (msg.type === "schedule") e.waitUntil(schedule(msg));
+  else if (msg.type === "cancel") e.waitUntil(cancel(msg.slot));
+});
+
+self.addEventListener("notificationclick", (e) => {
+  e.notification.close();
+  e.waitUntil(
+    self.clients.matchAll({ type: "window", includeUncontrolled: true }).then((tabs) => {
+      const tab = tabs.find((t) => t.focused) || tabs[0];
+      return tab ? tab.focus() : self.clients.openWindow("/");
+    })
+  );
+});